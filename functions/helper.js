@@ -1,8 +1,12 @@
 const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
 const { google } = require('googleapis');
 const sheets = google.sheets('v4');
 const { parseISO, isValid, format, formatISO } = require('date-fns');
 const cheerio = require('cheerio'); 
+const RE2 = require('re2');
 
 
 // --- XML/Markdown Escaping ---
@@ -20,6 +24,11 @@ function escapeXmlMinimal(unsafe) {
     });
 }
 
+// A literal "]]>" would end the section early, so it is split across two sections
+function wrapCdata(content) {
+    return `<![CDATA[${String(content || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
 function escapeMarkdown(unsafe) {
     if (typeof unsafe !== 'string') return '';
     return unsafe
@@ -37,6 +46,292 @@ function getCleanTextFromHtml(htmlContent) {
     return textContent.replace(/\s+/g, ' ').trim();
 }
   
+// --- HTML Sanitization ---
+// Allowlist-based: elements outside the level's list are unwrapped (their text is kept), the dropped
+// elements below are removed with their content, and only the listed attributes survive.
+const SANITIZE_LEVELS = ['strict', 'standard', 'off'];
+const DEFAULT_SANITIZE_LEVEL = 'standard';
+const STRICT_ALLOWED_TAGS = ['p', 'br', 'a', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'];
+const SANITIZE_ALLOWED_TAGS = {
+    strict: new Set(STRICT_ALLOWED_TAGS),
+    standard: new Set([...STRICT_ALLOWED_TAGS, 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'span', 'hr', 'sub', 'sup', 'small', 'mark', 'abbr', 'cite', 'q', 'ins', 'kbd', 'samp',
+        'time', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'img', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'])
+};
+const SANITIZE_ALLOWED_ATTRIBUTES = {
+    a: ['href', 'title'], img: ['src', 'alt', 'title', 'width', 'height'], ol: ['start'], td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan', 'scope'],
+    abbr: ['title'], time: ['datetime'], q: ['cite'], blockquote: ['cite']
+};
+const SANITIZE_URL_ATTRIBUTES = ['href', 'src', 'cite'];
+const SANITIZE_ALLOWED_URL_SCHEMES = ['http', 'https', 'mailto'];
+const SANITIZE_DROPPED_TAGS = 'script, style, noscript, template, iframe, frame, frameset, object, embed, applet, svg, math, form, input, button, select, textarea, link, meta, base, head, title';
+const TRACKING_PIXEL_PATTERN = /feedburner\.com\/~r\/|\/~ff\/|doubleclick\.net|google-analytics\.com|\/(pixel|beacon|tracker|open)(\.gif|\.png|\/|\?|$)/i;
+
+function looksLikeHtml(content) {
+    return /<\/?[a-z][^>]*>/i.test(String(content || ''));
+}
+
+// Validates the sanitize query value; defaults to 'standard'
+function parseSanitizeLevel(sanitizeParam) {
+    const level = String(sanitizeParam || DEFAULT_SANITIZE_LEVEL).trim().toLowerCase();
+    if (!SANITIZE_LEVELS.includes(level)) {
+        const error = new Error(`Invalid sanitize level "${sanitizeParam}". Use one of: ${SANITIZE_LEVELS.join(', ')}.`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return level;
+}
+
+function isSafeUrl(value) {
+    // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:")
+    const compactValue = String(value).replace(/[\u0000- \u007F]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compactValue);
+    return !scheme || SANITIZE_ALLOWED_URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+function isTrackingPixel(attribs) {
+    const isTiny = (value) => value !== undefined && parseInt(value, 10) <= 1;
+    return (isTiny(attribs.width) && isTiny(attribs.height)) || TRACKING_PIXEL_PATTERN.test(attribs.src || '');
+}
+
+// Some feeds entity-encode their HTML once more than needed (&lt;p&gt;); that is decoded so it is
+// treated, and sanitized, as the HTML it is rather than passed on as text
+function decodeEncodedHtml(content) {
+    const text = String(content || '');
+    if (looksLikeHtml(text) || !/&lt;\/?[a-z]/i.test(text)) return content;
+    const decoded = cheerio.load(text, null, false).root().text();
+    return looksLikeHtml(decoded) ? decoded : content;
+}
+
+// Sanitizes item HTML for the given level; plain text and level 'off' are returned unchanged
+function sanitizeHtml(htmlContent, level = DEFAULT_SANITIZE_LEVEL) {
+    if (level === 'off') return htmlContent;
+    htmlContent = decodeEncodedHtml(htmlContent);
+    if (!looksLikeHtml(htmlContent)) return htmlContent;
+    const allowedTags = SANITIZE_ALLOWED_TAGS[level] || SANITIZE_ALLOWED_TAGS[DEFAULT_SANITIZE_LEVEL];
+    const $ = cheerio.load(String(htmlContent), null, false);
+    $(SANITIZE_DROPPED_TAGS).remove();
+    $('*').contents().add($.root().contents()).filter((i, node) => node.type === 'comment' || node.type === 'directive').remove();
+
+    // Deepest elements first, so unwrapping an element never revisits its already cleaned children
+    $('*').get().reverse().forEach(el => {
+        const $el = $(el);
+        if (!allowedTags.has(el.name) || (el.name === 'img' && (!el.attribs.src || isTrackingPixel(el.attribs)))) {
+            if (el.name === 'img') $el.remove();
+            else $el.replaceWith($el.contents());
+            return;
+        }
+        const allowedAttributes = SANITIZE_ALLOWED_ATTRIBUTES[el.name] || [];
+        Object.keys(el.attribs || {}).forEach(name => {
+            if (!allowedAttributes.includes(name) || (SANITIZE_URL_ATTRIBUTES.includes(name) && !isSafeUrl(el.attribs[name]))) {
+                $el.removeAttr(name);
+            }
+        });
+        if (el.name === 'img' && !el.attribs.src) $el.remove();
+    });
+    return $.html().trim();
+}
+
+// Returns feed data whose item descriptions are sanitized for the given level
+function sanitizeFeedItems(feedData, level = DEFAULT_SANITIZE_LEVEL) {
+    if (level === 'off') return feedData;
+    return {
+        metadata: feedData.metadata,
+        items: feedData.items.map(item => {
+            const descriptionContent = sanitizeHtml(item.descriptionContent, level);
+            return descriptionContent === item.descriptionContent ? item : { ...item, descriptionContent };
+        })
+    };
+}
+
+// --- HTML to Markdown ---
+const MARKDOWN_SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas', 'form', 'button', 'input', 'select', 'textarea', 'head', 'title', 'meta', 'link']);
+const MARKDOWN_BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'address', 'center', 'details', 'summary', 'dl', 'dt', 'dd',
+    'figure', 'figcaption', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'table', 'hr']);
+const MARKDOWN_EMPHASIS = { strong: '**', b: '**', em: '*', i: '*', del: '~~', s: '~~', strike: '~~' };
+
+function escapeMarkdownText(text) {
+    return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+// Text at the start of a line must not become a heading, list item or setext underline; `*`, `_` and `>` are
+// already escaped everywhere by escapeMarkdownText
+function escapeMarkdownLineStarts(text) {
+    return text
+        .replace(/^([ \t]*)([-+=]+|#{1,6})(?=\s|$)/gm, '$1\\$2')
+        .replace(/^([ \t]*\d{1,9})([.)])(?=\s|$)/gm, '$1\\$2');
+}
+
+function encodeMarkdownUrl(url) {
+    return String(url).trim().replace(/[\s()]/g, c => ({ '(': '%28', ')': '%29' }[c] || '%20'));
+}
+
+// Keeps surrounding whitespace outside the markers, which CommonMark requires for emphasis to apply
+function wrapInline(content, marker) {
+    const [, leading, inner, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${leading}${marker}${inner}${marker}${trailing}` : content;
+}
+
+function fenceFor(text, minLength) {
+    const longestRun = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(minLength, longestRun + 1));
+}
+
+function isMarkdownBlock(node) {
+    return node.type === 'tag' && MARKDOWN_BLOCK_TAGS.has(node.name);
+}
+
+function getNodeText(node) {
+    if (node.type === 'text') return node.data;
+    return (node.children || []).map(getNodeText).join('');
+}
+
+function renderMarkdownInline(node, options) {
+    if (node.type === 'text') {
+        const text = node.data.replace(/\s+/g, ' ');
+        return options.compact ? text : escapeMarkdownText(text);
+    }
+    if (!['tag', 'script', 'style'].includes(node.type) || MARKDOWN_SKIPPED_TAGS.has(node.name)) return '';
+    if (isMarkdownBlock(node)) return ` ${renderMarkdownBlocks(node.children || [], options).join(' ')} `;
+
+    const attribs = node.attribs || {};
+    const inner = () => (node.children || []).map(child => renderMarkdownInline(child, options)).join('');
+    switch (node.name) {
+        case 'br':
+            return options.compact ? ' ' : '  \n';
+        case 'a': {
+            const text = inner();
+            const href = attribs.href && !/^\s*(javascript|data|vbscript):/i.test(attribs.href) ? encodeMarkdownUrl(attribs.href) : '';
+            if (!href || href.startsWith('#')) return text;
+            const [, leading, label, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            if (!label || label === href) return options.compact ? href : `<${href}>`;
+            return `${leading}[${label}](${href})${trailing}`;
+        }
+        case 'img': {
+            if (options.compact || !attribs.src) return '';
+            const alt = String(attribs.alt || '').replace(/\s+/g, ' ').trim().replace(/([\\[\]])/g, '\\$1');
+            return `![${alt}](${encodeMarkdownUrl(attribs.src)})`;
+        }
+        case 'code':
+        case 'kbd':
+        case 'samp': {
+            const code = getNodeText(node).replace(/\s+/g, ' ');
+            if (options.compact || !code.trim()) return code;
+            const fence = fenceFor(code, 1);
+            const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+            return `${fence}${padding}${code}${padding}${fence}`;
+        }
+        default: {
+            const marker = MARKDOWN_EMPHASIS[node.name];
+            return marker && !options.compact ? wrapInline(inner(), marker) : inner();
+        }
+    }
+}
+
+function renderMarkdownList(node, options) {
+    const ordered = node.name === 'ol';
+    let number = parseInt((node.attribs || {}).start, 10) || 1;
+    const entries = (node.children || []).filter(child => child.type === 'tag' && child.name === 'li').map(li => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const content = renderMarkdownBlocks(li.children || [], options).join(options.compact ? ' ' : '\n');
+        if (options.compact) return `${marker}${content}`;
+        // Continuation lines (nested lists, further paragraphs) are indented under the marker
+        return marker + content.split('\n').map((line, index) => index === 0 || !line ? line : ' '.repeat(marker.length) + line).join('\n');
+    });
+    return entries.join(options.compact ? ' ' : '\n');
+}
+
+function renderMarkdownTable(node, options) {
+    const rows = cheerio.load(node, null, false)('tr').filter((i, tr) => {
+        let parent = tr.parent;
+        while (parent && parent.name !== 'table') parent = parent.parent;
+        return parent === node;
+    }).map((i, tr) => [(tr.children || []).filter(cell => cell.type === 'tag' && (cell.name === 'td' || cell.name === 'th'))
+        .map(cell => renderMarkdownBlocks(cell.children || [], options).join(' ').replace(/\s+/g, ' ').trim())]).get();
+    if (rows.length === 0) return '';
+    if (options.compact) return rows.map(cells => cells.join(' | ')).join('; ');
+
+    const columnCount = Math.max(...rows.map(cells => cells.length));
+    const toRow = (cells) => `| ${Array.from({ length: columnCount }, (v, i) => (cells[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+    return [toRow(rows[0]), `| ${Array(columnCount).fill('---').join(' | ')} |`, ...rows.slice(1).map(toRow)].join('\n');
+}
+
+function renderMarkdownBlock(node, options) {
+    const level = /^h([1-6])$/.exec(node.name);
+    if (level) {
+        const text = (node.children || []).map(child => renderMarkdownInline(child, options)).join('').replace(/\s+/g, ' ').trim();
+        if (!text) return [];
+        return [options.compact ? text : `${'#'.repeat(Math.min(6, Number(level[1]) + options.headingOffset))} ${text}`];
+    }
+    switch (node.name) {
+        case 'ul':
+        case 'ol':
+            return [renderMarkdownList(node, options)];
+        case 'li':
+            return [renderMarkdownList({ name: 'ul', children: [node] }, options)];
+        case 'table':
+            return [renderMarkdownTable(node, options)];
+        case 'hr':
+            return options.compact ? [] : ['---'];
+        case 'pre': {
+            const code = getNodeText(node).replace(/^\n|\n$/g, '');
+            if (options.compact) return [code.replace(/\s+/g, ' ')];
+            const fence = fenceFor(code, 3);
+            const language = (/(?:^|\s)(?:language|lang)-([\w+-]+)/.exec(`${(node.attribs || {}).class || ''} ${((node.children || []).find(child => child.name === 'code') || { attribs: {} }).attribs.class || ''}`) || [])[1] || '';
+            return [`${fence}${language}\n${code}\n${fence}`];
+        }
+        case 'blockquote': {
+            const quoted = renderMarkdownBlocks(node.children || [], options);
+            if (options.compact) return quoted;
+            return [quoted.join('\n\n').split('\n').map(line => line ? `> ${line}` : '>').join('\n')];
+        }
+        case 'figcaption': {
+            const caption = renderMarkdownBlocks(node.children || [], options).join(' ');
+            return [options.compact ? caption : wrapInline(caption, '*')];
+        }
+        default:
+            return renderMarkdownBlocks(node.children || [], options);
+    }
+}
+
+// Inline runs between block elements become paragraphs; returns the non-empty blocks in order
+function renderMarkdownBlocks(nodes, options) {
+    const blocks = [];
+    let inline = '';
+    const flushParagraph = () => {
+        const paragraph = inline.replace(/ {2,}(?!\n)/g, ' ').replace(/\n +/g, '\n').trim();
+        if (paragraph) blocks.push(options.compact ? paragraph : escapeMarkdownLineStarts(paragraph));
+        inline = '';
+    };
+    nodes.forEach(node => {
+        if (isMarkdownBlock(node)) {
+            flushParagraph();
+            renderMarkdownBlock(node, options).filter(block => block && block.trim()).forEach(block => blocks.push(block));
+        } else {
+            inline += renderMarkdownInline(node, options);
+        }
+    });
+    flushParagraph();
+    return blocks;
+}
+
+// Plain text (sheet cells, content_text) keeps its own line and paragraph breaks; only Markdown syntax is escaped
+function plainTextToMarkdown(text) {
+    return text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+        .map(paragraph => paragraph.split('\n').map(line => escapeMarkdownText(line.replace(/\s+/g, ' ').trim())).filter(Boolean).join('\n'))
+        .filter(Boolean).map(escapeMarkdownLineStarts).join('\n\n');
+}
+
+// Converts item HTML to Markdown. The compact variant is a single line that keeps links and list
+// markers but drops emphasis, images, heading levels and other presentation.
+function htmlToMarkdown(htmlContent, options = {}) {
+    if (!htmlContent) return '';
+    const renderOptions = { compact: Boolean(options.compact), headingOffset: options.headingOffset || 0 };
+    const $ = cheerio.load(String(htmlContent), null, false);
+    if (!renderOptions.compact && !looksLikeHtml(htmlContent)) return plainTextToMarkdown($.root().text());
+    const blocks = renderMarkdownBlocks($.root().contents().get(), renderOptions);
+    return renderOptions.compact ? blocks.join(' ').replace(/\s+/g, ' ').trim() : blocks.join('\n\n');
+}
+
 // --- Date Handling ---
 function parseDateString(dateString) {
     if (!dateString || typeof dateString !== 'string') return null;
@@ -54,6 +349,70 @@ function parseDateString(dateString) {
     return null;
 }
 
+const RELATIVE_WINDOW_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Parses one end of a time window: `now`, `today`, `yesterday` (UTC day starts), a relative
+// duration before now such as `30m`, `24h`, `7d` or `2w`, or an absolute date. Returns null if invalid.
+function parseWindowBoundary(value, now = new Date()) {
+    const trimmed = String(value).trim().toLowerCase();
+    if (trimmed === 'now') return new Date(now.getTime());
+    if (trimmed === 'today' || trimmed === 'yesterday') {
+        const startOfDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+        return new Date(trimmed === 'today' ? startOfDay : startOfDay - RELATIVE_WINDOW_UNITS_MS.d);
+    }
+    const relativeMatch = trimmed.match(/^(\d+)\s*(m|h|d|w)$/);
+    if (relativeMatch) {
+        return new Date(now.getTime() - parseInt(relativeMatch[1], 10) * RELATIVE_WINDOW_UNITS_MS[relativeMatch[2]]);
+    }
+    return parseDateString(String(value).trim());
+}
+
+// Builds { since, until, includeUndated } from query values; `since` is an exclusive lower bound and
+// `until` an inclusive upper bound. Returns null when neither bound is set; throws (statusCode 400) on invalid values.
+function parseTimeWindow(sinceParam, untilParam, includeUndatedParam, now = new Date()) {
+    const parseBoundary = (param, name) => {
+        if (param === undefined || param === null || String(param).trim() === '') return null;
+        if (Array.isArray(param)) param = param[0];
+        const boundary = parseWindowBoundary(param, now);
+        if (!boundary) {
+            const error = new Error(`Invalid ${name} value "${param}". Use a date (e.g. 2025-04-01T00:00:00Z), now, today, yesterday or a relative duration like 30m, 24h, 7d or 2w.`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return boundary;
+    };
+    const since = parseBoundary(sinceParam, 'since');
+    const until = parseBoundary(untilParam, 'until');
+    if (!since && !until) return null;
+    if (since && until && since.getTime() >= until.getTime()) {
+        const error = new Error('Invalid time window: since must be earlier than until.');
+        error.statusCode = 400;
+        throw error;
+    }
+    const includeUndated = includeUndatedParam === true || includeUndatedParam === 'true' || includeUndatedParam === '1';
+    return { since, until, includeUndated };
+}
+
+// Accepts a window from parseTimeWindow or, as before, a plain Date acting as the lower bound
+function createTimeWindowFilter(timeWindow) {
+    const window = timeWindow instanceof Date ? { since: timeWindow, until: null, includeUndated: false } : timeWindow;
+    if (!window) return null;
+    const since = window.since instanceof Date && isValid(window.since) ? window.since.getTime() : null;
+    const until = window.until instanceof Date && isValid(window.until) ? window.until.getTime() : null;
+    if (since === null && until === null) return null;
+    return (item) => {
+        if (!(item.dateObject instanceof Date && isValid(item.dateObject))) return Boolean(window.includeUndated);
+        const time = item.dateObject.getTime();
+        return (since === null || time > since) && (until === null || time <= until);
+    };
+}
+
+function combineItemFilters(...filters) {
+    const activeFilters = filters.filter(filter => typeof filter === 'function');
+    if (activeFilters.length === 0) return null;
+    return (item) => activeFilters.every(filter => filter(item));
+}
+
 function sortFeedItems(itemsData) {
     if (!Array.isArray(itemsData)) {
         console.error("sortFeedItems received non-array input:", itemsData);
@@ -72,6 +431,155 @@ function sortFeedItems(itemsData) {
     });
 }
 
+const SORT_ORDERS = ['date_desc', 'date_asc', 'title', 'source', 'original'];
+const DEFAULT_SORT_ORDER = 'date_desc';
+// Where each item appeared in its source (row/entry order) and which source it came from, for `original` and `source`
+const itemPositions = new WeakMap();
+
+function recordItemPositions(items, sourcePosition = {}) {
+    items.forEach((item, index) => {
+        itemPositions.set(item, { index, ...itemPositions.get(item), ...sourcePosition });
+    });
+}
+
+function compareItemDatesDesc(a, b) {
+    const dateA = (a && a.dateObject instanceof Date && isValid(a.dateObject)) ? a.dateObject : null;
+    const dateB = (b && b.dateObject instanceof Date && isValid(b.dateObject)) ? b.dateObject : null;
+    if (dateA && dateB) return dateB.getTime() - dateA.getTime();
+    if (dateA) return -1;
+    if (dateB) return 1;
+    return 0;
+}
+
+// Sorts in place. Undated items always come last for the date orders; Array#sort is stable, so ties keep their order.
+function sortItems(items, sortOrder = DEFAULT_SORT_ORDER) {
+    if (!Array.isArray(items)) return;
+    const positionOf = (item) => itemPositions.get(item) || {};
+    const sourceTitleOf = (item) => String((item.sourceInfo && item.sourceInfo.title) || positionOf(item).sourceTitle || '');
+    const compareText = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+    switch (sortOrder) {
+        case 'date_asc':
+            items.sort((a, b) => {
+                const byDateDesc = compareItemDatesDesc(a, b);
+                const bothDated = a.dateObject instanceof Date && isValid(a.dateObject) && b.dateObject instanceof Date && isValid(b.dateObject);
+                return bothDated ? -byDateDesc : byDateDesc;
+            });
+            break;
+        case 'title':
+            items.sort((a, b) => compareText(String(a.title || ''), String(b.title || '')));
+            break;
+        case 'source':
+            items.sort((a, b) => compareText(sourceTitleOf(a), sourceTitleOf(b)) || compareItemDatesDesc(a, b));
+            break;
+        case 'original':
+            items.sort((a, b) => ((positionOf(a).sourceIndex || 0) - (positionOf(b).sourceIndex || 0))
+                || ((positionOf(a).index || 0) - (positionOf(b).index || 0)));
+            break;
+        default:
+            sortFeedItems(items);
+    }
+}
+
+function parseSortOrder(sortParam) {
+    if (sortParam === undefined || sortParam === null || String(sortParam).trim() === '') return DEFAULT_SORT_ORDER;
+    const sortOrder = String(sortParam).trim().toLowerCase();
+    if (!SORT_ORDERS.includes(sortOrder)) {
+        const error = new Error(`Invalid sort "${sortParam}". Use one of: ${SORT_ORDERS.join(', ')}.`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return sortOrder;
+}
+
+function getLatestItemDate(items) {
+    return items.reduce((latest, item) => {
+        if (!(item.dateObject instanceof Date && isValid(item.dateObject))) return latest;
+        return !latest || item.dateObject.getTime() > latest.getTime() ? item.dateObject : latest;
+    }, null);
+}
+
+// --- Item Filtering ---
+const FILTER_FIELDS = ['title', 'description', 'category', 'author'];
+const DEFAULT_FILTER_FIELDS = ['title', 'description'];
+const MAX_FILTER_TERMS = 20;
+const MAX_FILTER_PATTERN_LENGTH = 200;
+
+function createFilterError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function toParamList(value) {
+    if (value === undefined || value === null) return [];
+    return (Array.isArray(value) ? value : [value]).map(v => String(v)).filter(v => v.trim() !== '');
+}
+
+// Splits a parameter into terms: `/regex/flags` is a single term, otherwise commas separate
+// terms unless they are inside "double quotes"
+function parseFilterTerms(value) {
+    const trimmed = value.trim();
+    if (/^\/.+\/[a-z]*$/.test(trimmed)) return [trimmed];
+    return (trimmed.match(/"[^"]*"|[^,]+/g) || []).map(term => term.trim()).filter(term => term && term !== '""');
+}
+
+// Keywords and "phrases" match whole words case-insensitively; /regex/flags are used as given.
+// User regexes run against untrusted feed text, so they are compiled with RE2, which matches in
+// linear time (and therefore has no backreferences or lookarounds).
+function compileFilterTerm(term) {
+    if (term.length > MAX_FILTER_PATTERN_LENGTH) {
+        throw createFilterError(`Filter term is too long (maximum ${MAX_FILTER_PATTERN_LENGTH} characters): ${term.slice(0, 40)}...`);
+    }
+    const regexMatch = term.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RE2(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+        } catch (e) {
+            throw createFilterError(`Invalid regular expression in filter: ${term}. ${e.message}`);
+        }
+    }
+    const phrase = term.replace(/^"(.*)"$/, '$1').trim().replace(/\s+/g, ' ');
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+}
+
+function getItemFieldText(item, field) {
+    switch (field) {
+        case 'title': return String(item.title || '');
+        case 'description': return getCleanTextFromHtml(item.descriptionContent);
+        case 'category': return (Array.isArray(item.categories) ? item.categories : []).join('\n');
+        case 'author': return (Array.isArray(item.authors) ? item.authors : []).map(author => author.name).join('\n');
+        default: return '';
+    }
+}
+
+// Builds an item predicate from the include/exclude/match_field query values (strings or arrays).
+// Returns null when no filter was requested; throws an error with statusCode 400 on invalid input.
+function createItemFilter(includeParam, excludeParam, matchFieldParam) {
+    const includeTerms = toParamList(includeParam).flatMap(parseFilterTerms);
+    const excludeTerms = toParamList(excludeParam).flatMap(parseFilterTerms);
+    if (includeTerms.length === 0 && excludeTerms.length === 0) return null;
+    if (includeTerms.length + excludeTerms.length > MAX_FILTER_TERMS) {
+        throw createFilterError(`Too many filter terms. The maximum allowed is ${MAX_FILTER_TERMS}.`);
+    }
+
+    const requestedFields = toParamList(matchFieldParam).flatMap(value => value.split(/[,|]/)).map(f => f.trim().toLowerCase()).filter(f => f);
+    const unknownField = requestedFields.find(field => !FILTER_FIELDS.includes(field));
+    if (unknownField) {
+        throw createFilterError(`Invalid match_field "${unknownField}". Use one or more of: ${FILTER_FIELDS.join(', ')}.`);
+    }
+    const fields = requestedFields.length > 0 ? [...new Set(requestedFields)] : DEFAULT_FILTER_FIELDS;
+    const includePatterns = includeTerms.map(compileFilterTerm);
+    const excludePatterns = excludeTerms.map(compileFilterTerm);
+
+    return (item) => {
+        const texts = fields.map(field => getItemFieldText(item, field));
+        const matches = (pattern) => texts.some(text => pattern.test(text));
+        if (includePatterns.length > 0 && !includePatterns.some(matches)) return false;
+        return !excludePatterns.some(matches);
+    };
+}
+
 // --- Google Sheet Fetching ---
 async function getSheetData(sheetID, sheetNames, apiKey) {
     const metaRequest = { spreadsheetId: sheetID, key: apiKey };
@@ -137,7 +645,7 @@ function parseSheetRowAutoMode(row) {
     return { title, link, dateObject, descriptionContent };
 }
 
-function generateItemData(values, mode) {
+function generateItemData(values, mode, sortOrder = DEFAULT_SORT_ORDER) {
     let items = [];
     if (mode.toLowerCase() === 'manual') {
         items = generateFeedManualModeInternal(values);
@@ -145,7 +653,8 @@ function generateItemData(values, mode) {
         items = values.map(row => parseSheetRowAutoMode(row)).filter(item => item !== null);
     }
     // Sorting of items from a single sheet/source is done here before limiting
-    sortFeedItems(items);
+    recordItemPositions(items);
+    sortItems(items, sortOrder);
     return items; 
 }
 
@@ -161,7 +670,9 @@ function generateFeedManualModeInternal(values) {
         title: ['title'],
         link: ['link', 'url', 'uri', 'href'],
         description: ['description', 'desc', 'summary', 'content', 'content:encoded'], // Treat content:encoded as description
-        dateObject: ['pubdate', 'date', 'published', 'updated', 'timestamp', 'created']
+        dateObject: ['pubdate', 'date', 'published', 'updated', 'timestamp', 'created'],
+        author: ['author', 'authors', 'creator', 'dc:creator', 'byline'],
+        categories: ['category', 'categories', 'tags', 'tag', 'keywords']
     };
 
     // Map headers to standard fields or custom fields
@@ -187,6 +698,8 @@ function generateFeedManualModeInternal(values) {
     const linkIndex = headerMap['link'];
     const descriptionIndex = headerMap['description'];
     const dateIndex = headerMap['dateObject'];
+    const authorIndex = headerMap['author'];
+    const categoriesIndex = headerMap['categories'];
 
     // Process data rows
     for (let i = 1; i < values.length; i++) {
@@ -200,6 +713,11 @@ function generateFeedManualModeInternal(values) {
         const descriptionContent = descriptionIndex !== undefined ? String(row[descriptionIndex] || '') : '';
         const dateString = dateIndex !== undefined ? String(row[dateIndex] || '') : undefined;
         let dateObject = parseDateString(dateString); // Can be null
+        // Multiple authors or categories can be listed in one cell, separated by commas or semicolons
+        const authors = authorIndex !== undefined
+            ? uniqueAuthors(String(row[authorIndex] || '').split(/[;,]/).map(name => ({ name: name.trim() })))
+            : undefined;
+        const categories = categoriesIndex !== undefined ? uniqueNonEmpty(String(row[categoriesIndex] || '').split(/[;,]/)) : undefined;
 
         // Collect custom fields
         const customFields = {};
@@ -220,20 +738,29 @@ function generateFeedManualModeInternal(values) {
              link: link || undefined, // Ensure undefined if empty
              dateObject, // Can be null
              descriptionContent,
+             authors,
+             categories,
              customFields: Object.keys(customFields).length > 0 ? customFields : undefined // Add only if non-empty
         });
     }
     return items;
 }
 
-function buildFeedData(sheetData, mode, sheetTitle, sheetID, requestUrl, itemLimit = 50, charLimit = 500, isPreview = false, sinceTimestamp = null) {
+function buildFeedData(sheetData, mode, sheetTitle, sheetID, requestUrl, itemLimit = 50, charLimit = 500, isPreview = false, timeWindow = null, itemFilter = null, sortOrder = DEFAULT_SORT_ORDER) {
     let allItems = [];
+    const activeFilter = combineItemFilters(createTimeWindowFilter(timeWindow), itemFilter);
     let anySheetWasItemLimited = false;
     let anySheetWasCharLimited = false;
 
     // Iterate over each sheet's data provided in sheetData object
-    Object.keys(sheetData).forEach(sheetName => {
-        let itemsFromSheet = generateItemData(sheetData[sheetName], mode); // generateItemData now sorts items from this sheet
+    Object.keys(sheetData).forEach((sheetName, sheetIndex) => {
+        let itemsFromSheet = generateItemData(sheetData[sheetName], mode, sortOrder); // generateItemData now sorts items from this sheet
+        recordItemPositions(itemsFromSheet, { sourceIndex: sheetIndex, sourceTitle: sheetName });
+
+        // Apply the time window and include/exclude filters before the limit, so max_items returns the top matching rows
+        if (activeFilter) {
+            itemsFromSheet = itemsFromSheet.filter(activeFilter);
+        }
 
         // Apply itemLimit per sheet
         if (itemsFromSheet.length > itemLimit) {
@@ -255,19 +782,10 @@ function buildFeedData(sheetData, mode, sheetTitle, sheetID, requestUrl, itemLim
     });
 
     // Sort the globally combined list of (already per-sheet-limited) items
-    sortFeedItems(allItems); 
-
-    // Filter by sinceTimestamp
-    if (sinceTimestamp instanceof Date && isValid(sinceTimestamp)) {
-        allItems = allItems.filter(item => {
-            return item.dateObject && isValid(item.dateObject) && item.dateObject.getTime() > sinceTimestamp.getTime();
-        });
-    }
+    sortItems(allItems, sortOrder); 
 
     // Determine the latest date for the feed's lastBuildDate from the final combined & sorted list
-    const latestItemDate = allItems.length > 0 && allItems[0].dateObject instanceof Date && isValid(allItems[0].dateObject)
-        ? allItems[0].dateObject
-        : new Date(); 
+    const latestItemDate = getLatestItemDate(allItems) || new Date(); 
     
     const feedDescription = `Feed from Google Sheet (${mode} mode). Generated by crssnt.`;
 
@@ -288,19 +806,411 @@ function buildFeedData(sheetData, mode, sheetTitle, sheetID, requestUrl, itemLim
     };
 }
 
+// --- Upstream Response Cache ---
+// A cache store is any object with async get(key), set(key, entry) and delete(key) methods,
+// so a Firestore collection or a local file store can be swapped in via setFetchCacheStore().
+const DEFAULT_CACHE_MAX_ENTRIES = 200;
+const DEFAULT_CACHE_MAX_BYTES = 50 * 1024 * 1024; // Total body size kept per instance
+const DEFAULT_CACHE_TTL_SECONDS = 300; // Used when upstream sends no freshness information
+const MAX_CACHE_TTL_SECONDS = 3600;
+
+// Evicts least recently used entries once either the entry count or the total body size is exceeded
+function createMemoryCacheStore(maxEntries = DEFAULT_CACHE_MAX_ENTRIES, maxBytes = DEFAULT_CACHE_MAX_BYTES) {
+    const entries = new Map(); // Map iteration order doubles as least-recently-used order
+    const entrySizes = new Map();
+    let totalBytes = 0;
+    const remove = (key) => {
+        if (!entries.has(key)) return;
+        totalBytes -= entrySizes.get(key);
+        entries.delete(key);
+        entrySizes.delete(key);
+    };
+    return {
+        async get(key) {
+            if (!entries.has(key)) return undefined;
+            const entry = entries.get(key);
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        async set(key, entry) {
+            remove(key);
+            const size = Buffer.byteLength(String((entry && entry.body) || ''));
+            if (size > maxBytes) return;
+            entries.set(key, entry);
+            entrySizes.set(key, size);
+            totalBytes += size;
+            while (entries.size > maxEntries || totalBytes > maxBytes) {
+                remove(entries.keys().next().value);
+            }
+        },
+        async delete(key) {
+            remove(key);
+        }
+    };
+}
+
+let fetchCacheStore = createMemoryCacheStore();
+
+function setFetchCacheStore(store) {
+    fetchCacheStore = store || null;
+}
+
+function getResponseHeader(response, name) {
+    if (!response || !response.headers || typeof response.headers.get !== 'function') return null;
+    return response.headers.get(name);
+}
+
+// Returns how long a response may be served from cache, in seconds, or null if it must not be stored
+function getCacheTtlSeconds(response) {
+    const cacheControl = String(getResponseHeader(response, 'cache-control') || '').toLowerCase();
+    const directives = {};
+    cacheControl.split(',').forEach(part => {
+        const [name, value] = part.trim().split('=');
+        if (name) directives[name] = value === undefined ? true : value.replace(/"/g, '');
+    });
+
+    // We share cached bodies between requests, so 'private' responses are treated like 'no-store'
+    if (directives['no-store'] || directives['private']) return null;
+    if (directives['no-cache']) return 0;
+
+    const maxAge = parseInt(directives['s-maxage'] !== undefined ? directives['s-maxage'] : directives['max-age'], 10);
+    if (!isNaN(maxAge)) return Math.max(0, Math.min(maxAge, MAX_CACHE_TTL_SECONDS));
+
+    const expires = parseDateString(getResponseHeader(response, 'expires'));
+    if (expires) {
+        const secondsUntilExpiry = Math.floor((expires.getTime() - Date.now()) / 1000);
+        return Math.max(0, Math.min(secondsUntilExpiry, MAX_CACHE_TTL_SECONDS));
+    }
+    return DEFAULT_CACHE_TTL_SECONDS;
+}
+
+async function readCacheEntry(url) {
+    if (!fetchCacheStore) return undefined;
+    try {
+        return await fetchCacheStore.get(url);
+    } catch (error) {
+        console.warn(`Fetch cache read failed for ${url}: ${error.message}`);
+        return undefined;
+    }
+}
+
+// Passing a null entry removes the URL from the cache
+async function writeCacheEntry(url, entry) {
+    if (!fetchCacheStore) return;
+    try {
+        if (entry === null) await fetchCacheStore.delete(url);
+        else await fetchCacheStore.set(url, entry);
+    } catch (error) {
+        console.warn(`Fetch cache write failed for ${url}: ${error.message}`);
+    }
+}
+
+// --- Character Encoding ---
+// Determines a body's encoding from its BOM, the Content-Type charset, the XML prolog or an HTML meta tag
+function detectCharset(bytes, contentType) {
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+    const headerCharset = String(contentType || '').match(/charset\s*=\s*["']?([\w.:-]+)/i);
+    if (headerCharset) return headerCharset[1].toLowerCase();
+
+    // The prolog and meta tags are ASCII-compatible in every encoding we expect to see here
+    const head = Buffer.from(bytes.subarray(0, 1024)).toString('latin1');
+    const xmlDeclaration = head.match(/^\s*<\?xml[^>]*\sencoding\s*=\s*["']([\w.:-]+)["']/i);
+    if (xmlDeclaration) return xmlDeclaration[1].toLowerCase();
+    const metaCharset = head.match(/<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i);
+    if (metaCharset) return metaCharset[1].toLowerCase();
+
+    return 'utf-8';
+}
+
+// Windows-1252 code points for bytes 0x80-0x9F; every other byte maps to the same code point
+const WINDOWS_1252_HIGH_CONTROL_MAP = [
+    0x20AC, 0x0081, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x008D, 0x017D, 0x008F,
+    0x0090, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x009D, 0x017E, 0x0178
+];
+
+// Decoded by hand because some Node 20 releases drop bytes 0x80-0x9F in TextDecoder('windows-1252')
+function decodeWindows1252(bytes) {
+    let decoded = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+        const codePoints = Array.from(bytes.subarray(i, i + 8192), byte =>
+            byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH_CONTROL_MAP[byte - 0x80] : byte);
+        decoded += String.fromCharCode(...codePoints);
+    }
+    return decoded;
+}
+
+function decodeResponseBody(bytes, contentType) {
+    const charset = detectCharset(bytes, contentType);
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset);
+    } catch (e) {
+        console.warn(`Unsupported charset "${charset}", decoding as UTF-8 instead.`);
+        decoder = new TextDecoder('utf-8');
+    }
+    // ISO-8859-1 and ASCII labels also resolve to windows-1252, as browsers do
+    if (decoder.encoding === 'windows-1252') return decodeWindows1252(bytes);
+    // TextDecoder strips a BOM that matches its encoding, so the parsers never see it
+    return decoder.decode(bytes);
+}
+
 // --- External Feed Fetching & Parsing ---
-async function fetchUrlContent(url) {
+const DEFAULT_FETCH_CONCURRENCY = 5;
+const DEFAULT_SOURCE_TIMEOUT_MS = 8000;
+const DEFAULT_FETCH_DEADLINE_MS = 20000; // Leaves headroom below the 30s function timeout
+
+// statusCode is the HTTP status crssnt itself should answer with when this error rejects a request
+function createFetchError(message, category, httpStatus, statusCode) {
+    const error = new Error(message);
+    error.category = category;
+    if (httpStatus !== undefined) error.httpStatus = httpStatus;
+    if (statusCode !== undefined) error.statusCode = statusCode;
+    return error;
+}
+
+// --- Outbound Request Safety ---
+const ALLOWED_URL_PROTOCOLS = ['http:', 'https:'];
+const MAX_REDIRECTS = 5;
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const ACCEPTABLE_CONTENT_TYPE_PATTERN = /xml|json|html|rss|atom|rdf|^text\//i;
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, documentation, multicast and reserved ranges.
+// ::/96 covers the unspecified and loopback addresses as well as deprecated IPv4-compatible forms (::10.0.0.1)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['2001:db8::', 32], ['64:ff9b::', 96]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+    let normalized = String(address || '').replace(/^\[|\]$/g, '');
+    // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 rules
+    const mappedIpv4 = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mappedIpv4) normalized = mappedIpv4[1];
+    const family = net.isIP(normalized);
+    if (family === 0) return true; // Not an IP address at all; refuse rather than guess
+    return BLOCKED_ADDRESSES.check(normalized, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function assertAllowedProtocol(url) {
+    let parsedUrl;
     try {
-        const response = await fetch(url, { headers: { 'User-Agent': 'crssnt-feed-generator/1.0 (+https://crssnt.com)' }});
+        parsedUrl = new URL(url);
+    } catch (e) {
+        throw createFetchError(`Invalid source URL format: ${url}`, 'blocked_url', undefined, 400);
+    }
+    if (!ALLOWED_URL_PROTOCOLS.includes(parsedUrl.protocol)) {
+        throw createFetchError(`URL scheme "${parsedUrl.protocol}" is not allowed for ${url}. Only http and https URLs can be fetched.`, 'blocked_url', undefined, 400);
+    }
+    return parsedUrl;
+}
+
+// Rejects URLs with a disallowed scheme, a local host name or a non-public IP literal.
+// Host names are checked when the connection is made, by lookupPublicAddress.
+function assertFetchableUrl(url) {
+    const parsedUrl = assertAllowedProtocol(url);
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        throw createFetchError(`Fetching ${url} is not allowed: local hosts are blocked.`, 'blocked_address', undefined, 403);
+    }
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        throw createFetchError(`Fetching ${url} is not allowed: ${hostname} is a private, loopback or link-local address.`, 'blocked_address', undefined, 403);
+    }
+}
+
+// dns.lookup replacement for outbound connections: resolves the host once and fails if any address is
+// non-public, so the socket connects to exactly the addresses that were checked (no DNS rebinding window)
+function lookupPublicAddress(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    const lookupOptions = { all: true, verbatim: true };
+    if (options && options.family) lookupOptions.family = options.family;
+    dns.promises.lookup(hostname, lookupOptions).then((addresses) => {
+        if (!Array.isArray(addresses) || addresses.length === 0 || addresses.some(entry => isBlockedAddress(entry.address))) {
+            callback(createFetchError(`Fetching from ${hostname} is not allowed: it resolves to a private, loopback or link-local address.`, 'blocked_address', undefined, 403));
+        } else if (options && options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    }, (error) => {
+        callback(createFetchError(`Could not resolve host ${hostname} (${error.code || error.message})`, 'network_error'));
+    });
+}
+
+const PUBLIC_ADDRESS_DISPATCHER = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+// Releases the connection of a response whose body will not be read
+function discardResponseBody(response) {
+    if (response.body && typeof response.body.cancel === 'function') {
+        response.body.cancel().catch(() => {});
+    }
+}
+
+function assertAcceptableContentType(contentType, url) {
+    if (!contentType) return; // Many feed hosts omit it, so absence is not treated as an error
+    if (!ACCEPTABLE_CONTENT_TYPE_PATTERN.test(String(contentType).split(';')[0].trim())) {
+        throw createFetchError(`Unsupported content type "${contentType}" returned by ${url}. Expected a feed or HTML document.`, 'unsupported_content_type', undefined, 415);
+    }
+}
+
+// Reads a response body as bytes, aborting once it exceeds MAX_RESPONSE_BYTES
+async function readLimitedBody(response, url, maxBytes = MAX_RESPONSE_BYTES) {
+    const tooLarge = () => createFetchError(`Response from ${url} exceeds the maximum size of ${maxBytes} bytes.`, 'response_too_large', undefined, 413);
+    const declaredLength = parseInt(getResponseHeader(response, 'content-length'), 10);
+    if (!isNaN(declaredLength) && declaredLength > maxBytes) throw tooLarge();
+
+    if (response.body && typeof response.body.getReader === 'function') {
+        const reader = response.body.getReader();
+        const chunks = [];
+        let totalBytes = 0;
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            totalBytes += value.byteLength;
+            if (totalBytes > maxBytes) {
+                reader.cancel().catch(() => {});
+                throw tooLarge();
+            }
+            chunks.push(value);
+        }
+        return new Uint8Array(Buffer.concat(chunks));
+    }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.byteLength > maxBytes) throw tooLarge();
+    return bytes;
+}
+
+async function fetchUrlResource(url, options = {}) {
+    // cache: false bypasses the response cache, e.g. for one-off article pages
+    const { timeoutMs = DEFAULT_SOURCE_TIMEOUT_MS, signal, cache = true } = options;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(createFetchError(`Timed out fetching ${url} after ${timeoutMs}ms`, 'timeout')), timeoutMs);
+    const onParentAbort = () => controller.abort(signal.reason || createFetchError(`Fetch of ${url} was aborted`, 'network_error'));
+    if (signal) {
+        if (signal.aborted) onParentAbort();
+        else signal.addEventListener('abort', onParentAbort, { once: true });
+    }
+
+    // Rejects as soon as the timeout or deadline fires, even if the underlying request ignores the signal
+    const aborted = new Promise((_, reject) => {
+        if (controller.signal.aborted) reject(controller.signal.reason);
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    aborted.catch(() => {});
+
+    try {
+        assertAllowedProtocol(url);
+        const cachedEntry = cache ? await readCacheEntry(url) : undefined;
+        if (cachedEntry && cachedEntry.expiresAt > Date.now()) {
+            return { body: cachedEntry.body, status: cachedEntry.status, url: cachedEntry.url };
+        }
+
+        const requestHeaders = { 'User-Agent': 'crssnt-feed-generator/1.0 (+https://crssnt.com)' };
+        if (cachedEntry && cachedEntry.etag) requestHeaders['If-None-Match'] = cachedEntry.etag;
+        if (cachedEntry && cachedEntry.lastModified) requestHeaders['If-Modified-Since'] = cachedEntry.lastModified;
+
+        // Redirects are followed by hand so every hop is checked against the address blocklist
+        let response;
+        let currentUrl = url;
+        for (let redirectCount = 0; ; redirectCount++) {
+            assertFetchableUrl(currentUrl);
+            try {
+                response = await Promise.race([
+                    fetch(currentUrl, { headers: { ...requestHeaders }, signal: controller.signal, redirect: 'manual', dispatcher: PUBLIC_ADDRESS_DISPATCHER }),
+                    aborted
+                ]);
+            } catch (error) {
+                if (error && error.category) throw error;
+                // fetch wraps connection errors, including those raised by lookupPublicAddress
+                if (error && error.cause && error.cause.category) throw error.cause;
+                throw createFetchError(`Failed to fetch ${currentUrl}: ${error && error.message}`, 'network_error');
+            }
+            const location = getResponseHeader(response, 'location');
+            if (!REDIRECT_STATUSES.includes(response.status) || !location) break;
+            discardResponseBody(response);
+            if (redirectCount >= MAX_REDIRECTS) {
+                throw createFetchError(`Too many redirects while fetching ${url} (maximum is ${MAX_REDIRECTS}).`, 'too_many_redirects', response.status, 400);
+            }
+            const nextUrl = new URL(location, currentUrl);
+            // Validators belong to the cached origin; another origin must not receive them
+            if (nextUrl.origin !== new URL(currentUrl).origin) {
+                delete requestHeaders['If-None-Match'];
+                delete requestHeaders['If-Modified-Since'];
+            }
+            currentUrl = nextUrl.href;
+        }
+
+        if (response.status === 304 && cachedEntry) {
+            // Not modified: keep the cached body and extend its freshness
+            const ttlSeconds = getCacheTtlSeconds(response);
+            await writeCacheEntry(url, ttlSeconds === null ? null : { ...cachedEntry, expiresAt: Date.now() + ttlSeconds * 1000 });
+            return { body: cachedEntry.body, status: cachedEntry.status, url: cachedEntry.url };
+        }
         if (!response.ok) {
-            throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+            discardResponseBody(response);
+            throw createFetchError(`Failed to fetch ${url}: ${response.status} ${response.statusText}`, 'http_error', response.status);
         }
-        return await response.text();
-    } catch (error) {
-        throw error; 
+        const contentType = getResponseHeader(response, 'content-type');
+        assertAcceptableContentType(contentType, currentUrl);
+        let body;
+        if (response.body || typeof response.arrayBuffer === 'function') {
+            const bytes = await Promise.race([readLimitedBody(response, currentUrl), aborted]);
+            body = decodeResponseBody(bytes, contentType);
+        } else {
+            body = await Promise.race([response.text(), aborted]);
+            if (Buffer.byteLength(body) > MAX_RESPONSE_BYTES) {
+                throw createFetchError(`Response from ${currentUrl} exceeds the maximum size of ${MAX_RESPONSE_BYTES} bytes.`, 'response_too_large', undefined, 413);
+            }
+        }
+        const resource = { body, status: response.status, url: currentUrl };
+
+        const ttlSeconds = getCacheTtlSeconds(response);
+        if (cache && ttlSeconds !== null) {
+            await writeCacheEntry(url, {
+                ...resource,
+                etag: getResponseHeader(response, 'etag') || undefined,
+                lastModified: getResponseHeader(response, 'last-modified') || undefined,
+                expiresAt: Date.now() + ttlSeconds * 1000
+            });
+        }
+        return resource;
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onParentAbort);
     }
 }
 
+async function fetchUrlContent(url, options = {}) {
+    const { body } = await fetchUrlResource(url, options);
+    return body;
+}
+
+// Runs worker over every entry with at most `concurrency` calls in flight, preserving input order in the results
+async function mapWithConcurrency(entries, concurrency, worker) {
+    const results = new Array(entries.length);
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.max(1, Math.min(concurrency, entries.length)) }, async () => {
+        while (nextIndex < entries.length) {
+            const index = nextIndex++;
+            results[index] = await worker(entries[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
 function parseXmlFeedWithCheerio(xmlString) {
     return cheerio.load(xmlString, {
         xmlMode: true, 
@@ -308,7 +1218,176 @@ function parseXmlFeedWithCheerio(xmlString) {
     });
 }
 
-function normalizeParsedFeed($, sourceUrl, itemLimit = Infinity, charLimit = Infinity) {
+// --- Authors & Categories ---
+function uniqueNonEmpty(values) {
+    const unique = [...new Set(values.map(value => String(value || '').trim()).filter(value => value))];
+    return unique.length > 0 ? unique : undefined;
+}
+
+// RSS <author> holds an email address, conventionally written as "email (Name)"
+function parseRssAuthor(authorString) {
+    const value = String(authorString || '').trim();
+    if (!value) return null;
+    const match = value.match(/^([^\s()]+@[^\s()]+)\s*\(([^)]+)\)$/);
+    if (match) return { name: match[2].trim(), email: match[1] };
+    if (/^[^\s()]+@[^\s()]+$/.test(value)) return { name: value, email: value };
+    return { name: value };
+}
+
+function uniqueAuthors(authors) {
+    const seenNames = new Set();
+    const unique = authors.filter(author => {
+        if (!author || !author.name || seenNames.has(author.name)) return false;
+        seenNames.add(author.name);
+        return true;
+    }).map(author => {
+        Object.keys(author).forEach(key => author[key] === undefined && delete author[key]);
+        return author;
+    });
+    return unique.length > 0 ? unique : undefined;
+}
+
+function extractAtomAuthors($, $parent) {
+    return $parent.find('> author').map((i, el) => {
+        const $author = $(el);
+        return {
+            name: $author.find('> name').first().text().trim(),
+            url: $author.find('> uri').first().text().trim() || undefined,
+            email: $author.find('> email').first().text().trim() || undefined
+        };
+    }).get();
+}
+
+function mapJsonFeedAuthors(jsonObject) {
+    // JSON Feed 1.1 uses an 'authors' array, 1.0 a single 'author' object
+    const rawAuthors = Array.isArray(jsonObject.authors) ? jsonObject.authors : (jsonObject.author ? [jsonObject.author] : []);
+    return rawAuthors.filter(author => author && typeof author === 'object').map(author => ({
+        name: String(author.name || '').trim(),
+        url: String(author.url || '').trim() || undefined
+    }));
+}
+
+// --- Media & Enclosures ---
+function parseDurationSeconds(durationString) {
+    const value = String(durationString || '').trim();
+    if (!value) return undefined;
+    if (/^\d+(\.\d+)?$/.test(value)) return Math.round(parseFloat(value));
+    const parts = value.split(':').map(part => parseInt(part, 10));
+    if (parts.length > 3 || parts.some(part => isNaN(part))) return undefined;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function parsePositiveInt(value) {
+    const parsed = parseInt(value, 10);
+    return !isNaN(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+// Collects RSS enclosures, Media RSS content/thumbnails, iTunes images and Atom enclosure links of one item
+function extractItemMedia($, $item) {
+    const attachments = [];
+    const seenUrls = new Set();
+    const addAttachment = (attachment) => {
+        if (!attachment.url || seenUrls.has(attachment.url)) return;
+        seenUrls.add(attachment.url);
+        Object.keys(attachment).forEach(key => attachment[key] === undefined && delete attachment[key]);
+        attachments.push(attachment);
+    };
+    const itemDuration = parseDurationSeconds($item.find('> itunes\\:duration').first().text());
+
+    $item.find('> enclosure[url]').each((i, el) => {
+        const $enclosure = $(el);
+        addAttachment({
+            url: $enclosure.attr('url').trim(),
+            mimeType: $enclosure.attr('type') || undefined,
+            length: parsePositiveInt($enclosure.attr('length')),
+            durationSeconds: itemDuration
+        });
+    });
+    $item.find('> link[rel="enclosure"][href]').each((i, el) => {
+        const $link = $(el);
+        addAttachment({
+            url: $link.attr('href').trim(),
+            mimeType: $link.attr('type') || undefined,
+            length: parsePositiveInt($link.attr('length')),
+            title: $link.attr('title') || undefined
+        });
+    });
+
+    let image;
+    $item.find('media\\:content[url]').each((i, el) => {
+        const $media = $(el);
+        const mimeType = $media.attr('type') || undefined;
+        const medium = $media.attr('medium') || (mimeType ? mimeType.split('/')[0] : undefined);
+        if (medium === 'image' && !image) image = $media.attr('url').trim();
+        addAttachment({
+            url: $media.attr('url').trim(),
+            mimeType,
+            length: parsePositiveInt($media.attr('fileSize')),
+            durationSeconds: parsePositiveInt($media.attr('duration')),
+            title: $media.find('media\\:title').first().text().trim() || undefined
+        });
+    });
+
+    image = $item.find('media\\:thumbnail[url]').first().attr('url')
+        || $item.find('> itunes\\:image[href]').first().attr('href')
+        || image
+        || (attachments.find(attachment => String(attachment.mimeType || '').startsWith('image/')) || {}).url;
+
+    return {
+        attachments: attachments.length > 0 ? attachments : undefined,
+        image: image ? image.trim() : undefined
+    };
+}
+
+function mapJsonFeedAttachments(jsonAttachments) {
+    if (!Array.isArray(jsonAttachments)) return undefined;
+    const attachments = jsonAttachments
+        .filter(attachment => attachment && typeof attachment.url === 'string' && attachment.url.trim())
+        .map(attachment => {
+            const mapped = {
+                url: attachment.url.trim(),
+                mimeType: attachment.mime_type || undefined,
+                length: parsePositiveInt(attachment.size_in_bytes),
+                durationSeconds: parsePositiveInt(attachment.duration_in_seconds),
+                title: attachment.title || undefined
+            };
+            Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+            return mapped;
+        });
+    return attachments.length > 0 ? attachments : undefined;
+}
+
+// --- Sitemaps ---
+const MAX_SITEMAP_CHILDREN = 3;
+
+function getHostnameLabel(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return String(url || '');
+    }
+}
+
+function getOriginUrl(url) {
+    try {
+        return new URL(url).origin;
+    } catch (e) {
+        return String(url || '');
+    }
+}
+
+// "https://example.com/news/2025/city-council-approves-budget.html" -> "City council approves budget"
+function titleFromUrl(url) {
+    try {
+        const segments = new URL(url).pathname.split('/').filter(segment => segment && !/^\d+$/.test(segment));
+        const slug = decodeURIComponent(segments.pop() || '').replace(/\.[a-z0-9]{2,5}$/i, '').replace(/[-_+]+/g, ' ').trim();
+        return slug ? slug.charAt(0).toUpperCase() + slug.slice(1) : getHostnameLabel(url);
+    } catch (e) {
+        return String(url || '(Untitled)');
+    }
+}
+
+function normalizeParsedFeed($, sourceUrl, itemLimit = Infinity, charLimit = Infinity, itemFilter = null, sortOrder = DEFAULT_SORT_ORDER, extraCategories = null) {
     const items = [];
     let feedTitle = '', feedLink = '', feedDescription = '', feedLastBuildDate = null,
         feedLanguage = 'en', feedGenerator = 'crssnt (converted)', feedId = sourceUrl;
@@ -323,7 +1402,11 @@ function normalizeParsedFeed($, sourceUrl, itemLimit = Infinity, charLimit = Inf
 
     const isRss = $('rss').length > 0;
     const isAtom = !isRss && $('feed').length > 0;
+    const isRdf = !isRss && !isAtom && $('rdf\\:RDF').length > 0;
+    const isSitemap = !isRss && !isAtom && !isRdf && $('urlset').length > 0;
+    const isSitemapIndex = !isRss && !isAtom && !isRdf && !isSitemap && $('sitemapindex').length > 0;
     let sourceType = 'unknown';
+    let childSitemaps;
 
     if (isRss) {
         sourceType = 'rss';
@@ -347,7 +1430,13 @@ function normalizeParsedFeed($, sourceUrl, itemLimit = Infinity, charLimit = Inf
             const pubDateStr = $item.find('> pubDate').text().trim();
             const dateObject = parseDateString(pubDateStr);
             const guid = $item.find('> guid').text().trim() || link; 
-            items.push({ title, link, dateObject, descriptionContent, id: guid, sourceInfo: { title: feedTitle, url: sourceUrl, type: 'rss' } });
+            const { attachments, image } = extractItemMedia($, $item);
+            const authors = uniqueAuthors(
+                $item.find('> author').map((j, authorEl) => parseRssAuthor($(authorEl).text())).get()
+                    .concat($item.find('> dc\\:creator, > itunes\\:author').map((j, creatorEl) => ({ name: $(creatorEl).text().trim() })).get())
+            );
+            const categories = uniqueNonEmpty($item.find('> category').map((j, categoryEl) => $(categoryEl).text()).get());
+            items.push({ title, link, dateObject, descriptionContent, id: guid, attachments, image, authors, categories, sourceInfo: { title: feedTitle, url: sourceUrl, type: 'rss' } });
         });
     } else if (isAtom) {
         sourceType = 'atom';
@@ -366,111 +1455,681 @@ function normalizeParsedFeed($, sourceUrl, itemLimit = Infinity, charLimit = Inf
         feed.find('entry').each((i, el) => {
             const $entry = $(el);
             const title = $entry.find('> title').text().trim() || '(Untitled)';
-            const link = $entry.find('> link[rel="alternate"]').attr('href') || $entry.find('> link').first().attr('href');
+            const link = $entry.find('> link[rel="alternate"]').attr('href') || $entry.find('> link:not([rel="enclosure"])').first().attr('href');
             const rawDescription = $entry.find('> content').html() || $entry.find('> summary').html() || ''; 
             const descriptionContent = _stripCdataWrapper(rawDescription);
             const updatedStrEntry = $entry.find('> updated').text().trim() || $entry.find('> published').text().trim(); 
             const dateObject = parseDateString(updatedStrEntry);
             const id = $entry.find('> id').text().trim() || link;
-            items.push({ title, link, dateObject, descriptionContent, id, sourceInfo: { title: feedTitle, url: sourceUrl, type: 'atom' } });
+            const { attachments, image } = extractItemMedia($, $entry);
+            // Entries without their own <author> inherit the feed-level authors
+            const entryAuthors = extractAtomAuthors($, $entry);
+            const authors = uniqueAuthors(entryAuthors.length > 0 ? entryAuthors : extractAtomAuthors($, feed));
+            const categories = uniqueNonEmpty($entry.find('> category').map((j, categoryEl) => $(categoryEl).attr('term') || $(categoryEl).attr('label')).get());
+            items.push({ title, link, dateObject, descriptionContent, id, attachments, image, authors, categories, sourceInfo: { title: feedTitle, url: sourceUrl, type: 'atom' } });
+        });
+    } else if (isRdf) {
+        // RSS 1.0: items are siblings of <channel> and dates/authors/tags come from Dublin Core
+        sourceType = 'rdf';
+        const rdf = $('rdf\\:RDF').first();
+        const channel = rdf.find('> channel').first();
+        feedTitle = channel.find('> title').first().text().trim();
+        feedLink = channel.find('> link').first().text().trim();
+        feedDescription = _stripCdataWrapper(channel.find('> description').first().text().trim());
+        feedLanguage = channel.find('> dc\\:language').first().text().trim() || 'en';
+        const channelDateStr = channel.find('> dc\\:date').first().text().trim();
+        if (channelDateStr) feedLastBuildDate = parseDateString(channelDateStr);
+        feedId = channel.attr('rdf:about') || feedLink || sourceUrl;
+
+        rdf.find('> item').each((i, el) => {
+            const $item = $(el);
+            const title = $item.find('> title').text().trim() || '(Untitled)';
+            const link = $item.find('> link').text().trim() || $item.attr('rdf:about') || undefined;
+            const rawDescription = $item.find('content\\:encoded').html() || $item.find('> description').html() || '';
+            const descriptionContent = _stripCdataWrapper(rawDescription);
+            const dateObject = parseDateString($item.find('> dc\\:date').first().text().trim());
+            const id = $item.attr('rdf:about') || link;
+            const authors = uniqueAuthors($item.find('> dc\\:creator').map((j, creatorEl) => ({ name: $(creatorEl).text().trim() })).get());
+            const categories = uniqueNonEmpty($item.find('> dc\\:subject').map((j, subjectEl) => $(subjectEl).text()).get());
+            const { attachments, image } = extractItemMedia($, $item);
+            items.push({ title, link, dateObject, descriptionContent, id, attachments, image, authors, categories, sourceInfo: { title: feedTitle, url: sourceUrl, type: 'rdf' } });
         });
+    } else if (isSitemap) {
+        // Sitemaps have no item titles of their own; Google News sitemaps add title, date and keywords
+        sourceType = 'sitemap';
+        const publicationName = $('urlset > url news\\:publication > news\\:name').first().text().trim();
+        feedTitle = publicationName || `${getHostnameLabel(sourceUrl)} sitemap`;
+        feedLink = getOriginUrl(sourceUrl);
+        feedDescription = `Pages listed in the sitemap at ${sourceUrl}.`;
+        feedLanguage = $('urlset > url news\\:publication > news\\:language').first().text().trim() || 'en';
+
+        $('urlset > url').each((i, el) => {
+            const $url = $(el);
+            const link = $url.find('> loc').first().text().trim();
+            if (!link) return;
+            const $news = $url.find('> news\\:news').first();
+            const title = $news.find('> news\\:title').first().text().trim() || titleFromUrl(link);
+            const dateObject = parseDateString($news.find('> news\\:publication_date').first().text().trim())
+                || parseDateString($url.find('> lastmod').first().text().trim());
+            const categories = uniqueNonEmpty($news.find('> news\\:keywords').first().text().split(','));
+            const image = $url.find('> image\\:image > image\\:loc').first().text().trim() || undefined;
+            items.push({ title, link, dateObject, descriptionContent: '', id: link, image, categories, sourceInfo: { title: feedTitle, url: sourceUrl, type: 'sitemap' } });
+        });
+    } else if (isSitemapIndex) {
+        // The index only points at other sitemaps; loadSourceFeed follows the most recent ones
+        sourceType = 'sitemapindex';
+        feedTitle = `${getHostnameLabel(sourceUrl)} sitemap`;
+        feedLink = getOriginUrl(sourceUrl);
+        feedDescription = `Pages listed in the sitemaps of the sitemap index at ${sourceUrl}.`;
+        childSitemaps = $('sitemapindex > sitemap').map((i, el) => ({
+            url: $(el).find('> loc').first().text().trim(),
+            lastModified: parseDateString($(el).find('> lastmod').first().text().trim())
+        })).get().filter(child => child.url);
     } else {
         feedTitle = "Unknown or Invalid Feed Type";
-        feedDescription = `Could not determine feed type (RSS or Atom) for URL: ${sourceUrl}. Please ensure it's a valid XML feed.`;
+        feedDescription = `Could not determine feed type (RSS 2.0, RSS 1.0/RDF, Atom, JSON Feed or sitemap) for URL: ${sourceUrl}. Please ensure it's a valid feed or sitemap.`;
+    }
+
+    return finalizeNormalizedFeed(items, {
+        title: feedTitle, link: feedLink, description: feedDescription, lastBuildDate: feedLastBuildDate,
+        language: feedLanguage, generator: feedGenerator, id: feedId, sourceType, childSitemaps
+    }, sourceUrl, itemLimit, charLimit, itemFilter, sortOrder, extraCategories);
+}
+
+function isJsonFeedObject(candidate) {
+    return !!candidate && typeof candidate === 'object' && !Array.isArray(candidate)
+        && typeof candidate.version === 'string' && candidate.version.startsWith('https://jsonfeed.org/version/');
+}
+
+function normalizeJsonFeed(jsonFeed, sourceUrl, itemLimit = Infinity, charLimit = Infinity, itemFilter = null, sortOrder = DEFAULT_SORT_ORDER, extraCategories = null) {
+    const items = [];
+    let feedTitle = '', feedLink = '', feedDescription = '', feedLanguage = 'en',
+        feedGenerator = 'crssnt (converted)', feedId = sourceUrl;
+    let sourceType = 'unknown';
+
+    if (isJsonFeedObject(jsonFeed)) {
+        sourceType = 'json';
+        feedTitle = String(jsonFeed.title || '').trim();
+        feedLink = String(jsonFeed.home_page_url || '').trim();
+        feedDescription = String(jsonFeed.description || '').trim();
+        feedLanguage = String(jsonFeed.language || '').trim() || 'en'; // 'language' is new in JSON Feed 1.1
+        feedId = String(jsonFeed.feed_url || '').trim() || feedLink || sourceUrl;
+
+        (Array.isArray(jsonFeed.items) ? jsonFeed.items : []).forEach(jsonItem => {
+            if (!jsonItem || typeof jsonItem !== 'object') return;
+            const title = String(jsonItem.title || '').trim() || '(Untitled)';
+            const link = String(jsonItem.url || jsonItem.external_url || '').trim() || undefined;
+            // Prefer HTML content, then plain text, then the optional summary
+            const descriptionContent = String(jsonItem.content_html || jsonItem.content_text || jsonItem.summary || '');
+            const dateObject = parseDateString(jsonItem.date_published) || parseDateString(jsonItem.date_modified);
+            const id = jsonItem.id !== undefined && jsonItem.id !== null && String(jsonItem.id).trim() !== ''
+                ? String(jsonItem.id).trim()
+                : link;
+            const attachments = mapJsonFeedAttachments(jsonItem.attachments);
+            const image = String(jsonItem.image || jsonItem.banner_image || '').trim() || undefined;
+            const itemAuthors = mapJsonFeedAuthors(jsonItem);
+            const authors = uniqueAuthors(itemAuthors.length > 0 ? itemAuthors : mapJsonFeedAuthors(jsonFeed));
+            const categories = uniqueNonEmpty(Array.isArray(jsonItem.tags) ? jsonItem.tags : []);
+            items.push({ title, link, dateObject, descriptionContent, id, attachments, image, authors, categories, sourceInfo: { title: feedTitle, url: sourceUrl, type: 'json' } });
+        });
+    } else {
+        feedTitle = "Unknown or Invalid Feed Type";
+        feedDescription = `Could not determine feed type (JSON Feed) for URL: ${sourceUrl}. Please ensure it's a valid JSON Feed document.`;
+    }
+
+    return finalizeNormalizedFeed(items, {
+        title: feedTitle, link: feedLink, description: feedDescription, lastBuildDate: null,
+        language: feedLanguage, generator: feedGenerator, id: feedId, sourceType
+    }, sourceUrl, itemLimit, charLimit, itemFilter, sortOrder, extraCategories);
+}
+
+// Sorts, filters and limits the items of a single normalized source feed and assembles its metadata
+function finalizeNormalizedFeed(items, feedInfo, sourceUrl, itemLimit = Infinity, charLimit = Infinity, itemFilter = null, sortOrder = DEFAULT_SORT_ORDER, extraCategories = null) {
+    recordItemPositions(items);
+    sortItems(items, sortOrder); 
+    // Categories assigned to the source (e.g. OPML folders) are added first, so filters can match them
+    if (Array.isArray(extraCategories) && extraCategories.length > 0) {
+        items.forEach(item => {
+            item.categories = uniqueNonEmpty([...(item.categories || []), ...extraCategories]);
+            item.sourceInfo = { ...item.sourceInfo, category: extraCategories[0] };
+        });
+    }
+    // Filtering happens before limits so the item limit returns the top matching items
+    if (typeof itemFilter === 'function') items = items.filter(itemFilter);
+
+    let itemCountLimited = false;
+    let itemCharLimited = false;
+    let limitedItems = items;
+
+    // Apply itemLimit to this individual feed's items
+    if (itemLimit !== Infinity && items.length > itemLimit) {
+        limitedItems = items.slice(0, itemLimit);
+        itemCountLimited = true;
+    }
+    // Apply charLimit to this individual feed's items
+    if (charLimit !== Infinity) {
+        limitedItems = limitedItems.map(item => {
+            const desc = String(item.descriptionContent || '');
+            if (desc.length > charLimit) {
+                item.descriptionContent = desc.slice(0, charLimit) + '...';
+                itemCharLimited = true;
+            }
+            return item;
+        });
+    }
+    
+    let feedLastBuildDate = feedInfo.lastBuildDate;
+    if (!feedLastBuildDate) {
+        feedLastBuildDate = getLatestItemDate(limitedItems) || undefined;
+    }
+
+    return {
+        metadata: {
+            title: feedInfo.title || 'Untitled Parsed Feed',
+            link: feedInfo.link || sourceUrl, 
+            feedUrl: sourceUrl,        
+            description: feedInfo.description,
+            lastBuildDate: feedLastBuildDate, 
+            language: feedInfo.language,
+            generator: feedInfo.generator,
+            id: feedInfo.id, 
+            itemCountLimited: itemCountLimited, 
+            itemCharLimited: itemCharLimited,   
+            sourceType: feedInfo.sourceType,
+            childSitemaps: feedInfo.childSitemaps
+        },
+        items: limitedItems 
+    };
+}
+
+// Detects whether fetched content is a JSON Feed or an XML feed and normalizes it accordingly
+function normalizeFeedContent(content, sourceUrl, itemLimit = Infinity, charLimit = Infinity, itemFilter = null, sortOrder = DEFAULT_SORT_ORDER, extraCategories = null) {
+    const trimmedContent = String(content || '').replace(/^\uFEFF/, '').trim();
+    if (trimmedContent.startsWith('{')) {
+        let jsonFeed = null;
+        try {
+            jsonFeed = JSON.parse(trimmedContent);
+        } catch (e) {
+            console.warn(`Failed to parse JSON content from ${sourceUrl}: ${e.message}`);
+        }
+        return normalizeJsonFeed(jsonFeed, sourceUrl, itemLimit, charLimit, itemFilter, sortOrder, extraCategories);
+    }
+    const $ = parseXmlFeedWithCheerio(trimmedContent);
+    return normalizeParsedFeed($, sourceUrl, itemLimit, charLimit, itemFilter, sortOrder, extraCategories);
+}
+
+// --- Cross-Source Deduplication ---
+const TRACKING_PARAM_PATTERN = /^(utm_[a-z]+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|yclid|_hsenc|_hsmi|ref|ref_src|cmpid|smid|ito)$/i;
+const MIN_DEDUPE_TITLE_LENGTH = 10; // Very short titles ("Update", "Live") are too generic to match on
+
+function normalizeLinkForComparison(link) {
+    try {
+        const url = new URL(String(link || '').trim());
+        url.hash = '';
+        [...url.searchParams.keys()].forEach(key => { if (TRACKING_PARAM_PATTERN.test(key)) url.searchParams.delete(key); });
+        url.searchParams.sort();
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        const path = url.pathname.replace(/\/+$/, '');
+        return `${host}${path}${url.search}`;
+    } catch (e) {
+        return null;
+    }
+}
+
+function normalizeTitleForComparison(title) {
+    const normalized = String(title || '').toLowerCase().normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return normalized.length >= MIN_DEDUPE_TITLE_LENGTH && normalized !== 'untitled' ? normalized : null;
+}
+
+// Collapses items that share an id within their source, or a normalized link or title across sources. Ids are
+// often feed-local ("0", "1", ...), so they never match across sources. The earliest copy wins (the longest
+// description breaks ties) and records the other sources that carried the story in alsoIn.
+function dedupeItems(items) {
+    const groups = [];
+    const groupByKey = new Map();
+
+    items.forEach(item => {
+        const link = item.link ? normalizeLinkForComparison(item.link) : null;
+        const title = normalizeTitleForComparison(item.title);
+        const keys = [
+            item.id ? `id:${item.sourceInfo ? item.sourceInfo.url : ''}\n${item.id}` : null,
+            link ? `link:${link}` : null,
+            title ? `title:${title}` : null
+        ].filter(key => key);
+        let group = keys.map(key => groupByKey.get(key)).find(existing => existing);
+        if (!group) {
+            group = [];
+            groups.push(group);
+        }
+        group.push(item);
+        keys.forEach(key => { if (!groupByKey.has(key)) groupByKey.set(key, group); });
+    });
+
+    const getTime = (item) => (item.dateObject instanceof Date && isValid(item.dateObject)) ? item.dateObject.getTime() : Infinity;
+    return groups.map(group => {
+        if (group.length === 1) return group[0];
+        const [keptItem, ...duplicates] = [...group].sort((a, b) =>
+            (getTime(a) - getTime(b)) || (String(b.descriptionContent || '').length - String(a.descriptionContent || '').length));
+        const keptSourceUrl = keptItem.sourceInfo ? keptItem.sourceInfo.url : undefined;
+        const alsoIn = [];
+        duplicates.forEach(duplicate => {
+            const sourceInfo = duplicate.sourceInfo;
+            if (!sourceInfo || sourceInfo.url === keptSourceUrl || alsoIn.some(source => source.url === sourceInfo.url)) return;
+            alsoIn.push({ title: sourceInfo.title, url: sourceInfo.url, link: duplicate.link });
+        });
+        if (alsoIn.length > 0) keptItem.alsoIn = alsoIn;
+        return keptItem;
+    });
+}
+
+// --- OPML Source Lists ---
+// Reads an OPML reading list into [{ url, title, htmlUrl, categories }]. Categories come from the outline's
+// `category` attribute (comma-separated, slash-delimited paths) and from the folder outlines it is nested in.
+function parseOpml(content) {
+    const $ = cheerio.load(String(content || '').replace(/^\uFEFF/, ''), { xmlMode: true });
+    if ($('opml').length === 0 || $('opml > body').length === 0) {
+        throw new Error('Invalid OPML document: missing <opml> or <body> element.');
+    }
+
+    const sources = [];
+    const sourceByUrl = new Map();
+    const walk = (outlines, folderCategories) => {
+        outlines.each((i, el) => {
+            const $outline = $(el);
+            const xmlUrl = String($outline.attr('xmlUrl') || $outline.attr('xmlurl') || '').trim();
+            const label = String($outline.attr('text') || $outline.attr('title') || '').trim();
+            if (!xmlUrl) {
+                walk($outline.children('outline'), label ? [...folderCategories, label] : folderCategories);
+                return;
+            }
+            const attributeCategories = String($outline.attr('category') || '').split(',')
+                .map(path => path.split('/').filter(segment => segment.trim()).pop());
+            const categories = uniqueNonEmpty([...folderCategories, ...attributeCategories]);
+            const existing = sourceByUrl.get(xmlUrl);
+            if (existing) {
+                existing.categories = uniqueNonEmpty([...(existing.categories || []), ...(categories || [])]);
+                return;
+            }
+            const source = { url: xmlUrl, title: label || undefined, htmlUrl: $outline.attr('htmlUrl') || $outline.attr('htmlurl') || undefined, categories };
+            sources.push(source);
+            sourceByUrl.set(xmlUrl, source);
+        });
+    };
+    walk($('opml > body').children('outline'), []);
+    return sources;
+}
+
+// --- Full-Text Extraction ---
+const DEFAULT_FULL_TEXT_FETCH_BUDGET = 10; // Article pages fetched per request
+const DEFAULT_FULL_TEXT_CONCURRENCY = 3;
+const DEFAULT_FULL_TEXT_TIMEOUT_MS = 5000;
+const DEFAULT_FULL_TEXT_DEADLINE_MS = 6000; // Runs after the source deadline, so both fit the function timeout
+const MIN_ARTICLE_TEXT_LENGTH = 200;
+const ARTICLE_NOISE_SELECTOR = 'script, style, noscript, template, iframe, svg, form, button, nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"]';
+const POSITIVE_CLASS_PATTERN = /article|body|content|entry|main|post|story|text/i;
+const NEGATIVE_CLASS_PATTERN = /\bads?\b|\bad-|banner|comment|footer|menu|meta|nav|promo|related|share|sidebar|social|sponsor|subscribe|widget/i;
+const ARTICLE_ALLOWED_ATTRIBUTES = { a: ['href'], img: ['src', 'alt'] };
+
+function getClassWeight($el) {
+    const classAndId = getClassAndId($el);
+    let weight = 0;
+    if (POSITIVE_CLASS_PATTERN.test(classAndId)) weight += 25;
+    if (NEGATIVE_CLASS_PATTERN.test(classAndId)) weight -= 25;
+    return weight;
+}
+
+function getClassAndId($el) {
+    return `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+}
+
+// Readability-style heuristic: paragraphs vote for their parent (and half for their grandparent)
+// by text length and comma count; the best scoring container is returned as cleaned HTML.
+function extractArticleContent(html, pageUrl) {
+    const $ = cheerio.load(String(html || ''));
+    $(ARTICLE_NOISE_SELECTOR).remove();
+    $('body *').not('article, main').filter((i, el) => {
+        const classAndId = getClassAndId($(el));
+        return NEGATIVE_CLASS_PATTERN.test(classAndId) && !POSITIVE_CLASS_PATTERN.test(classAndId);
+    }).remove();
+
+    let $best = $('[itemprop="articleBody"]').first();
+    if ($best.length === 0 || getCleanTextFromHtml($best.html()).length < MIN_ARTICLE_TEXT_LENGTH) {
+        const scores = new Map();
+        $('p, pre, blockquote').each((i, el) => {
+            const text = $(el).text().trim();
+            if (text.length < 25) return;
+            const score = 1 + (text.split(',').length - 1) + Math.min(Math.floor(text.length / 100), 3);
+            [el.parent, el.parent && el.parent.parent].forEach((ancestor, depth) => {
+                if (!ancestor || ancestor.type !== 'tag') return;
+                if (!scores.has(ancestor)) scores.set(ancestor, getClassWeight($(ancestor)) + (/^(article|main)$/.test(ancestor.name) ? 25 : 0));
+                scores.set(ancestor, scores.get(ancestor) + (depth === 0 ? score : score / 2));
+            });
+        });
+        let bestScore = -Infinity;
+        scores.forEach((score, el) => {
+            // Link-heavy containers are navigation, not prose
+            const text = $(el).text();
+            const linkText = $(el).find('a').text();
+            const adjustedScore = score * (1 - (text.length > 0 ? linkText.length / text.length : 0));
+            if (adjustedScore > bestScore) {
+                bestScore = adjustedScore;
+                $best = $(el);
+            }
+        });
+    }
+    if (!$best || $best.length === 0) return null;
+
+    $best.find('*').each((i, el) => {
+        const allowed = ARTICLE_ALLOWED_ATTRIBUTES[el.name] || [];
+        Object.keys(el.attribs || {}).forEach(name => {
+            if (!allowed.includes(name)) {
+                $(el).removeAttr(name);
+                return;
+            }
+            try {
+                $(el).attr(name, name === 'alt' ? el.attribs[name] : new URL(el.attribs[name], pageUrl).href);
+            } catch (e) {
+                $(el).removeAttr(name);
+            }
+        });
+    });
+    const content = String($best.html() || '').replace(/\n\s*\n+/g, '\n').trim();
+    return getCleanTextFromHtml(content).length >= MIN_ARTICLE_TEXT_LENGTH ? content : null;
+}
+
+// Cuts HTML after maxChars characters of text, at a word boundary inside a text node, and drops
+// everything after that point, so the result never ends in a half-open tag. Returns the input unchanged if it fits.
+function truncateHtml(html, maxChars, suffix = '...') {
+    const $ = cheerio.load(String(html || ''), null, false);
+    let remaining = maxChars;
+    let truncated = false;
+    const visit = (nodes) => {
+        nodes.forEach(node => {
+            if (truncated) {
+                $(node).remove();
+            } else if (node.type === 'text') {
+                if (node.data.length <= remaining) {
+                    remaining -= node.data.length;
+                    return;
+                }
+                const cut = node.data.slice(0, remaining);
+                const wordBoundary = cut.lastIndexOf(' ');
+                node.data = (wordBoundary > remaining / 2 ? cut.slice(0, wordBoundary) : cut).trimEnd() + suffix;
+                truncated = true;
+            } else if (node.children) {
+                visit([...node.children]);
+            }
+        });
+    };
+    visit([...$.root().contents()]);
+    return truncated ? $.html() : html;
+}
+
+// Replaces teaser descriptions with the extracted article for up to `budget` items.
+// Returns which items were enriched so callers can report it.
+async function enrichItemsWithFullText(items, options = {}) {
+    const {
+        budget = DEFAULT_FULL_TEXT_FETCH_BUDGET,
+        concurrency = DEFAULT_FULL_TEXT_CONCURRENCY,
+        timeoutMs = DEFAULT_FULL_TEXT_TIMEOUT_MS,
+        deadlineMs = DEFAULT_FULL_TEXT_DEADLINE_MS
+    } = options;
+    const candidates = items.filter(item => /^https?:\/\//i.test(String(item.link || '')));
+    const selected = candidates.slice(0, budget);
+
+    const deadlineController = new AbortController();
+    const deadlineTimer = setTimeout(() => deadlineController.abort(createFetchError(`Full-text deadline of ${deadlineMs}ms exceeded`, 'deadline_exceeded')), deadlineMs);
+    let outcomes;
+    try {
+        outcomes = await mapWithConcurrency(selected, concurrency, async (item) => {
+            try {
+                const resource = await fetchUrlResource(item.link, { timeoutMs, signal: deadlineController.signal, cache: false });
+                const content = extractArticleContent(resource.body, resource.url || item.link);
+                if (!content || getCleanTextFromHtml(content).length <= getCleanTextFromHtml(item.descriptionContent).length) {
+                    return 'unchanged';
+                }
+                item.descriptionContent = content;
+                item.fullTextExtracted = true;
+                return 'enriched';
+            } catch (error) {
+                console.warn(`Full-text extraction failed for ${item.link}: ${error.message}`);
+                return 'failed';
+            }
+        });
+    } finally {
+        clearTimeout(deadlineTimer);
+    }
+
+    return {
+        attempted: selected.length,
+        enriched: outcomes.filter(outcome => outcome === 'enriched').length,
+        failed: outcomes.filter(outcome => outcome === 'failed').length,
+        skipped: candidates.length - selected.length,
+        enrichedItems: selected.filter(item => item.fullTextExtracted).map(item => item.id || item.link)
+    };
+}
+
+// --- Feed Autodiscovery ---
+const FEED_LINK_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/feed+json', 'application/json', 'application/rdf+xml'];
+const COMMON_FEED_PATHS = ['/feed', '/rss.xml', '/feed.xml', '/atom.xml', '/index.xml', '/feed.json', '/rss'];
+const MAX_DISCOVERY_ATTEMPTS = 4;
+
+function isHtmlDocument(content) {
+    const head = String(content || '').replace(/^\uFEFF/, '').trimStart().slice(0, 1024).toLowerCase();
+    return head.startsWith('<!doctype html') || /^(<!--[\s\S]*?-->\s*)*<html[\s>]/.test(head);
+}
+
+// Resolves against <base href> when the page declares one
+function getDocumentBaseUrl($, pageUrl) {
+    const baseHref = $('base[href]').first().attr('href');
+    try { if (baseHref) return new URL(baseHref, pageUrl).href; } catch (e) { /* keep page URL */ }
+    return pageUrl;
+}
+
+// Returns candidate feed URLs for an HTML page, best candidate first
+function discoverFeedUrls(html, pageUrl) {
+    const $ = cheerio.load(String(html || ''));
+    const baseUrl = getDocumentBaseUrl($, pageUrl);
+
+    const linkCandidates = [];
+    $('link[href]').each((i, el) => {
+        const $link = $(el);
+        const rel = String($link.attr('rel') || '').toLowerCase().split(/\s+/);
+        const type = String($link.attr('type') || '').toLowerCase().split(';')[0].trim();
+        if (!rel.includes('alternate') || !FEED_LINK_TYPES.includes(type)) return;
+        try {
+            const href = new URL($link.attr('href'), baseUrl).href;
+            // Comment feeds are usually listed after the main feed, but demote them explicitly to be safe
+            const isCommentFeed = /comment/i.test(`${$link.attr('title') || ''} ${href}`);
+            linkCandidates.push({ href, isCommentFeed });
+        } catch (e) { /* skip unparseable hrefs */ }
+    });
+    const orderedLinks = linkCandidates.filter(c => !c.isCommentFeed).concat(linkCandidates.filter(c => c.isCommentFeed)).map(c => c.href);
+
+    const pathCandidates = [];
+    try {
+        const origin = new URL(pageUrl).origin;
+        COMMON_FEED_PATHS.forEach(path => pathCandidates.push(`${origin}${path}`));
+    } catch (e) { /* no fallback paths without a valid page URL */ }
+
+    return [...new Set(orderedLinks.concat(pathCandidates))].filter(candidate => candidate !== pageUrl);
+}
+
+// Merges the most recently modified sitemaps of a sitemap index into one feed
+async function loadSitemapIndex(indexFeedData, sourceUrl, fetchOptions, itemLimit, charLimit, itemFilter, sortOrder, extraCategories) {
+    const { metadata } = indexFeedData;
+    const children = [...(metadata.childSitemaps || [])]
+        .sort((a, b) => (b.lastModified ? b.lastModified.getTime() : 0) - (a.lastModified ? a.lastModified.getTime() : 0))
+        .slice(0, MAX_SITEMAP_CHILDREN);
+    let items = [];
+    let loadedChildren = 0;
+    let lastError;
+    for (const child of children) {
+        if (fetchOptions.signal && fetchOptions.signal.aborted) throw fetchOptions.signal.reason;
+        try {
+            const childResource = await fetchUrlResource(child.url, fetchOptions);
+            const childFeedData = normalizeFeedContent(childResource.body, sourceUrl);
+            if (childFeedData.metadata.sourceType !== 'sitemap') continue;
+            items = items.concat(childFeedData.items);
+            loadedChildren++;
+        } catch (childError) {
+            if (childError.category === 'deadline_exceeded') throw childError;
+            console.warn(`Failed to load sitemap ${child.url} from index ${sourceUrl}: ${childError.message}`);
+            lastError = childError;
+        }
+    }
+    if (children.length > 0 && loadedChildren === 0) {
+        throw createFetchError(`None of the sitemaps listed in ${sourceUrl} could be loaded${lastError ? `: ${lastError.message}` : '.'}`,
+            lastError && lastError.category ? lastError.category : 'parse_error', lastError ? lastError.httpStatus : undefined);
     }
 
-    sortFeedItems(items); 
+    items.forEach(item => { item.sourceInfo = { ...item.sourceInfo, title: metadata.title }; });
+    return finalizeNormalizedFeed(items, { ...metadata, sourceType: 'sitemap', childSitemaps: undefined }, sourceUrl, itemLimit, charLimit, itemFilter, sortOrder, extraCategories);
+}
 
-    let itemCountLimited = false;
-    let itemCharLimited = false;
-    let limitedItems = items;
+// Fetches a source and normalizes it, following feed autodiscovery when the URL points at an HTML page
+async function loadSourceFeed(sourceUrl, fetchOptions, itemLimit = Infinity, charLimit = Infinity, itemFilter = null, sortOrder = DEFAULT_SORT_ORDER, extraCategories = null) {
+    const sourceStatus = { url: sourceUrl, status: 'error' };
+    const normalizeOrThrow = (content, feedUrl) => {
+        try {
+            return normalizeFeedContent(content, sourceUrl, itemLimit, charLimit, itemFilter, sortOrder, extraCategories);
+        } catch (parseError) {
+            throw createFetchError(`Failed to parse ${feedUrl}: ${parseError.message}`, 'parse_error');
+        }
+    };
 
-    // Apply itemLimit to this individual feed's items
-    if (itemLimit !== Infinity && items.length > itemLimit) {
-        limitedItems = items.slice(0, itemLimit);
-        itemCountLimited = true;
-    }
-    // Apply charLimit to this individual feed's items
-    if (charLimit !== Infinity) {
-        limitedItems = limitedItems.map(item => {
-            const desc = String(item.descriptionContent || '');
-            if (desc.length > charLimit) {
-                item.descriptionContent = desc.slice(0, charLimit) + '...';
-                itemCharLimited = true;
+    try {
+        if (fetchOptions.signal && fetchOptions.signal.aborted) throw fetchOptions.signal.reason;
+        const resource = await fetchUrlResource(sourceUrl, fetchOptions);
+        sourceStatus.httpStatus = resource.status;
+        let feedData = normalizeOrThrow(resource.body, sourceUrl);
+
+        if (feedData.metadata.sourceType === 'unknown' && isHtmlDocument(resource.body)) {
+            const candidates = discoverFeedUrls(resource.body, resource.url || sourceUrl).slice(0, MAX_DISCOVERY_ATTEMPTS);
+            for (const candidateUrl of candidates) {
+                if (fetchOptions.signal && fetchOptions.signal.aborted) throw fetchOptions.signal.reason;
+                try {
+                    const candidateResource = await fetchUrlResource(candidateUrl, fetchOptions);
+                    const candidateFeedData = normalizeOrThrow(candidateResource.body, candidateUrl);
+                    if (candidateFeedData.metadata.sourceType === 'unknown') continue;
+                    candidateFeedData.metadata.feedUrl = candidateResource.url || candidateUrl;
+                    candidateFeedData.items.forEach(item => { item.sourceInfo = { ...item.sourceInfo, feedUrl: candidateFeedData.metadata.feedUrl }; });
+                    feedData = candidateFeedData;
+                    sourceStatus.httpStatus = candidateResource.status;
+                    sourceStatus.feedUrl = feedData.metadata.feedUrl;
+                    break;
+                } catch (candidateError) {
+                    if (candidateError.category === 'deadline_exceeded') throw candidateError;
+                    // Try the next candidate
+                }
             }
-            return item;
-        });
-    }
-    
-    if (!feedLastBuildDate && limitedItems.length > 0 && limitedItems[0].dateObject) {
-        feedLastBuildDate = limitedItems[0].dateObject;
+            if (feedData.metadata.sourceType === 'unknown') {
+                feedData.metadata.description = `No feed could be discovered on the HTML page at ${sourceUrl}.`;
+            }
+        }
+
+        if (feedData.metadata.sourceType === 'sitemapindex') {
+            feedData = await loadSitemapIndex(feedData, sourceUrl, fetchOptions, itemLimit, charLimit, itemFilter, sortOrder, extraCategories);
+        }
+
+        if (feedData.metadata.sourceType === 'unknown') {
+            console.warn(`Skipping unknown feed type from ${sourceUrl}: ${feedData.metadata.title}`);
+            sourceStatus.errorCategory = 'unknown_feed_type';
+            sourceStatus.errorMessage = feedData.metadata.description;
+            return { feedData: null, sourceStatus };
+        }
+        sourceStatus.status = 'ok';
+        sourceStatus.itemCountLimited = feedData.metadata.itemCountLimited;
+        return { feedData, sourceStatus };
+    } catch (error) {
+        console.warn(`Failed to process URL ${sourceUrl}: ${error.message}. Skipping this source.`);
+        sourceStatus.errorCategory = error.category || 'network_error';
+        sourceStatus.errorMessage = error.message;
+        if (error.httpStatus !== undefined) sourceStatus.httpStatus = error.httpStatus;
+        if (error.statusCode !== undefined) sourceStatus.statusCode = error.statusCode;
+        return { feedData: null, sourceStatus };
     }
+}
 
-    return {
-        metadata: {
-            title: feedTitle || 'Untitled Parsed Feed',
-            link: feedLink || sourceUrl, 
-            feedUrl: sourceUrl,        
-            description: feedDescription,
-            lastBuildDate: feedLastBuildDate, 
-            language: feedLanguage,
-            generator: feedGenerator,
-            id: feedId, 
-            itemCountLimited: itemCountLimited, 
-            itemCharLimited: itemCharLimited,   
-            sourceType 
-        },
-        items: limitedItems 
-    };
+// Loads every source with bounded concurrency under one overall deadline; returns [{ feedData, sourceStatus }]
+async function loadSourceFeeds(sourceUrls, itemLimit, charLimit, options = {}) {
+    const {
+        concurrency = DEFAULT_FETCH_CONCURRENCY,
+        sourceTimeoutMs = DEFAULT_SOURCE_TIMEOUT_MS,
+        deadlineMs = DEFAULT_FETCH_DEADLINE_MS,
+        itemFilter = null,
+        sortOrder = DEFAULT_SORT_ORDER,
+        sourceCategories = {}
+    } = options;
+
+    // One overall deadline for the whole batch, so slow sources cannot exhaust the function timeout
+    const deadlineController = new AbortController();
+    const deadlineTimer = setTimeout(() => deadlineController.abort(createFetchError(`Overall fetch deadline of ${deadlineMs}ms exceeded`, 'deadline_exceeded')), deadlineMs);
+    try {
+        return await mapWithConcurrency(sourceUrls, concurrency, (sourceUrl) => loadSourceFeed(
+            sourceUrl, { timeoutMs: sourceTimeoutMs, signal: deadlineController.signal }, itemLimit, charLimit, itemFilter, sortOrder, sourceCategories[sourceUrl]
+        ));
+    } finally {
+        clearTimeout(deadlineTimer);
+    }
 }
 
-async function processMultipleUrls(sourceUrls, requestUrl, itemLimit = 50, charLimit = 500, groupByFeed = false, sinceTimestamp = null) {
+async function processMultipleUrls(sourceUrls, requestUrl, itemLimit = 50, charLimit = 500, groupByFeed = false, timeWindow = null, options = {}) {
+    const {
+        dedupe = false,
+        fullText = false,
+        sortOrder = DEFAULT_SORT_ORDER,
+        pagination = null,
+        groupBy = groupByFeed ? 'feed' : null
+    } = options;
     let allItems = [];
     const allFeedMetadata = []; 
     let anyIndividualFeedWasItemLimited = false; 
     let anyIndividualFeedWasCharLimited = false; 
 
-    for (const sourceUrl of sourceUrls) {
-        try {
-            const xmlString = await fetchUrlContent(sourceUrl);
-            const $ = parseXmlFeedWithCheerio(xmlString);
-            
-            const individualFeedData = normalizeParsedFeed($, sourceUrl, itemLimit, charLimit); 
-
-            if (individualFeedData && individualFeedData.items && individualFeedData.metadata.sourceType !== 'unknown') {
-                allItems = allItems.concat(individualFeedData.items);
-                allFeedMetadata.push(individualFeedData.metadata);
-                if (individualFeedData.metadata.itemCountLimited) {
-                    anyIndividualFeedWasItemLimited = true;
-                }
-                if (individualFeedData.metadata.itemCharLimited) {
-                    anyIndividualFeedWasCharLimited = true;
-                }
-            } else if (individualFeedData && individualFeedData.metadata.sourceType === 'unknown') {
-                console.warn(`Skipping unknown feed type from ${sourceUrl}: ${individualFeedData.metadata.title}`);
-            }
-        } catch (error) {
-            console.warn(`Failed to process URL ${sourceUrl}: ${error.message}. Skipping this source.`);
+    // The time window is applied per source before the item limit, together with include/exclude filters
+    const itemFilter = combineItemFilters(createTimeWindowFilter(timeWindow), options.itemFilter);
+    const individualResults = await loadSourceFeeds(sourceUrls, itemLimit, charLimit, { ...options, itemFilter });
+    const sourceStatuses = individualResults.map(result => result.sourceStatus);
+    individualResults.forEach(({ feedData: individualFeedData }, index) => {
+        if (!individualFeedData) return;
+        recordItemPositions(individualFeedData.items, { sourceIndex: index, sourceTitle: individualFeedData.metadata.title });
+        allItems = allItems.concat(individualFeedData.items);
+        allFeedMetadata.push(individualFeedData.metadata);
+        if (individualFeedData.metadata.itemCountLimited) {
+            anyIndividualFeedWasItemLimited = true;
         }
+        if (individualFeedData.metadata.itemCharLimited) {
+            anyIndividualFeedWasCharLimited = true;
+        }
+    });
+
+    if (individualResults.every(result => !result.feedData)) { 
+        const error = new Error('No valid feed items could be fetched or processed from the provided URLs.');
+        error.sources = sourceStatuses;
+        throw error;
     }
 
-    if (allItems.length === 0) { 
-        throw new Error('No valid feed items could be fetched or processed from the provided URLs.');
+    if (dedupe) {
+        allItems = dedupeItems(allItems);
     }
 
-    if (!groupByFeed) {
-        sortFeedItems(allItems); 
+    // Grouped by feed, sources stay in request order and each is already sorted
+    if (groupBy !== 'feed') {
+        sortItems(allItems, sortOrder); 
     }
-    
-    let finalLimitedItems = allItems; 
-    
-    // Filter by sinceTimestamp
-    if (sinceTimestamp instanceof Date && isValid(sinceTimestamp)) {
-        finalLimitedItems = finalLimitedItems.filter(item => {
-            return item.dateObject && isValid(item.dateObject) && item.dateObject.getTime() > sinceTimestamp.getTime();
+    if (groupBy === 'category') {
+        // Keep each category contiguous, ordered by its newest item
+        const itemsByCategory = new Map();
+        allItems.forEach(item => {
+            const key = getGroupInfo(item, 'category').key;
+            if (!itemsByCategory.has(key)) itemsByCategory.set(key, []);
+            itemsByCategory.get(key).push(item);
         });
+        allItems = [...itemsByCategory.values()].flat();
     }
-    
+
     const firstValidMetadata = allFeedMetadata.length > 0 ? allFeedMetadata[0] : {};
     const combinedTitle = allFeedMetadata.length > 1 
         ? `Combined Feed from ${allFeedMetadata.length} sources (up to ${itemLimit} items per source)` 
@@ -480,25 +2139,17 @@ async function processMultipleUrls(sourceUrls, requestUrl, itemLimit = 50, charL
     const combinedId = `urn:crssnt:combined:${crypto.createHash('sha1').update(sourceUrls.join(',')).digest('hex')}`;
     
     let overallLastBuildDate;
-    if (!groupByFeed && finalLimitedItems.length > 0 && finalLimitedItems[0].dateObject instanceof Date && isValid(finalLimitedItems[0].dateObject)) {
-        overallLastBuildDate = finalLimitedItems[0].dateObject;
-    } else if (groupByFeed && allFeedMetadata.length > 0) {
+    if (groupBy !== 'feed') {
+        overallLastBuildDate = getLatestItemDate(allItems);
+    } else if (allFeedMetadata.length > 0) {
         overallLastBuildDate = allFeedMetadata.reduce((latest, meta) => {
             if (meta.lastBuildDate && (!latest || meta.lastBuildDate.getTime() > latest.getTime())) {
                 return meta.lastBuildDate;
             }
             return latest;
         }, null);
-        if (!overallLastBuildDate && finalLimitedItems.length > 0) {
-            let latestItemDateInGrouped = null;
-            for (const item of finalLimitedItems) {
-                if (item.dateObject && isValid(item.dateObject)) {
-                    if (!latestItemDateInGrouped || item.dateObject.getTime() > latestItemDateInGrouped.getTime()) {
-                        latestItemDateInGrouped = item.dateObject;
-                    }
-                }
-            }
-            overallLastBuildDate = latestItemDateInGrouped;
+        if (!overallLastBuildDate) {
+            overallLastBuildDate = getLatestItemDate(allItems);
         }
     }
     overallLastBuildDate = overallLastBuildDate || new Date(); 
@@ -508,7 +2159,13 @@ async function processMultipleUrls(sourceUrls, requestUrl, itemLimit = 50, charL
         : (firstValidMetadata.description || `Feed generated from ${firstValidMetadata.feedUrl || 'source'} (up to ${itemLimit} items) via crssnt.`);
     // The generic truncation notice will be added by the output functions if needed.
 
-    return {
+    // Item counts reflect what each source actually contributes after filtering
+    sourceStatuses.forEach(sourceStatus => {
+        if (sourceStatus.status !== 'ok') return;
+        sourceStatus.itemCount = allItems.filter(item => item.sourceInfo && item.sourceInfo.url === sourceStatus.url).length;
+    });
+
+    let feedData = {
         metadata: {
             title: combinedTitle,
             link: combinedLink, 
@@ -520,14 +2177,479 @@ async function processMultipleUrls(sourceUrls, requestUrl, itemLimit = 50, charL
             itemCountLimited: anyIndividualFeedWasItemLimited, 
             itemCharLimited: anyIndividualFeedWasCharLimited, 
             language: firstValidMetadata.language || 'en',
-            groupByFeed: groupByFeed && sourceUrls.length > 1 
+            groupByFeed: groupBy === 'feed' && sourceUrls.length > 1,
+            groupBy: groupBy === 'category' ? 'category' : (groupBy === 'feed' && sourceUrls.length > 1 ? 'feed' : null),
+            fullText: undefined,
+            sources: sourceStatuses
+        },
+        items: allItems 
+    };
+    // Paginating first lets every page spend the full-text fetch budget on its own items
+    if (pagination) {
+        feedData = paginateFeedData(feedData, pagination.pageSize, pagination.cursor);
+    }
+
+    if (fullText && feedData.items.length > 0) {
+        feedData.metadata.fullText = await enrichItemsWithFullText(feedData.items, options.fullTextOptions);
+        // Extracted articles are subject to the same description limit as feed content
+        feedData.items.forEach(item => {
+            if (!item.fullTextExtracted || charLimit === Infinity) return;
+            const truncated = truncateHtml(item.descriptionContent, charLimit);
+            if (truncated !== item.descriptionContent) {
+                item.descriptionContent = truncated;
+                feedData.metadata.itemCharLimited = true;
+            }
+        });
+    }
+    return feedData;
+}
+
+
+// Fetches each source only for its feed-level metadata (title, site link, feed URL) for OPML export
+async function collectSourceFeedInfo(sourceUrls, options = {}) {
+    const results = await loadSourceFeeds(sourceUrls, 1, Infinity, options);
+    const sources = results.map(result => result.sourceStatus);
+    if (sources.every(source => source.status !== 'ok')) {
+        const error = new Error('None of the provided source URLs could be loaded as a feed.');
+        error.sources = sources;
+        throw error;
+    }
+    const feeds = results.map(({ feedData, sourceStatus }) => ({
+        url: sourceStatus.url,
+        xmlUrl: sourceStatus.feedUrl || sourceStatus.url,
+        title: feedData ? feedData.metadata.title : undefined,
+        htmlUrl: feedData ? feedData.metadata.link : undefined,
+        description: feedData ? feedData.metadata.description : undefined,
+        status: sourceStatus.status
+    }));
+    return { feeds, sources };
+}
+
+// --- HTML Page Feeds ---
+const PAGE_FIELD_NAMES = ['title', 'link', 'date', 'description'];
+const DEFAULT_PAGE_FIELD_SELECTORS = { title: 'h1, h2, h3, h4, a', link: 'a[href]@href', date: 'time@datetime' };
+const MAX_PAGE_SELECTOR_LENGTH = 200;
+
+function createPageSelectorError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function resolvePageUrl(value, baseUrl) {
+    if (!value) return undefined;
+    try {
+        const resolved = new URL(value, baseUrl);
+        return ALLOWED_URL_PROTOCOLS.includes(resolved.protocol) ? resolved.href : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+// Validates the `item` selector and the optional `title`, `link`, `date` and `description` field selectors.
+// Field selectors are relative to the item and may end in `@attribute`; a bare `@href` reads the item element itself.
+function parsePageSelectors(params = {}) {
+    const readParam = (name) => String((Array.isArray(params[name]) ? params[name][0] : params[name]) || '').trim();
+    const validator = cheerio.load('').root();
+    const assertValidSelector = (selector, name) => {
+        if (selector.length > MAX_PAGE_SELECTOR_LENGTH) {
+            throw createPageSelectorError(`The "${name}" selector is too long (maximum ${MAX_PAGE_SELECTOR_LENGTH} characters).`);
+        }
+        try {
+            validator.find(selector);
+        } catch (e) {
+            throw createPageSelectorError(`Invalid CSS selector for "${name}": ${selector}`);
+        }
+    };
+
+    const itemSelector = readParam('item');
+    if (!itemSelector) {
+        throw createPageSelectorError('Item selector not provided. Use query parameter "?item=CSS_SELECTOR", e.g. "item=article".');
+    }
+    assertValidSelector(itemSelector, 'item');
+
+    const selectors = { item: itemSelector };
+    PAGE_FIELD_NAMES.forEach(field => {
+        const value = readParam(field) || DEFAULT_PAGE_FIELD_SELECTORS[field];
+        if (!value) return;
+        const [, selector, attribute] = value.match(/^(.*?)(?:@([\w:-]+))?$/);
+        if (!selector.trim() && !attribute) throw createPageSelectorError(`Invalid selector for "${field}": ${value}`);
+        if (selector.trim()) assertValidSelector(selector.trim(), field);
+        selectors[field] = { selector: selector.trim(), attribute: attribute || null };
+    });
+    return selectors;
+}
+
+function readPageField($item, fieldSelector, asHtml = false) {
+    if (!fieldSelector) return '';
+    const $target = fieldSelector.selector ? $item.find(fieldSelector.selector).first() : $item;
+    if ($target.length === 0) return '';
+    if (fieldSelector.attribute) return String($target.attr(fieldSelector.attribute) || '').trim();
+    return asHtml ? String($target.html() || '').trim() : $target.text().replace(/\s+/g, ' ').trim();
+}
+
+// Builds feed info and items from the elements of an HTML page that match the parsed selectors
+function extractPageFeed(html, pageUrl, selectors) {
+    const $ = cheerio.load(String(html || ''));
+    const baseUrl = getDocumentBaseUrl($, pageUrl);
+    const pageTitle = $('head > title').first().text().replace(/\s+/g, ' ').trim()
+        || $('meta[property="og:site_name"]').attr('content') || `${getHostnameLabel(pageUrl)} page`;
+
+    const items = [];
+    $(selectors.item).each((i, el) => {
+        const $item = $(el);
+        let link = readPageField($item, selectors.link);
+        if (!link && $item.is('a[href]')) link = $item.attr('href');
+        link = resolvePageUrl(link, baseUrl);
+
+        let title = readPageField($item, selectors.title);
+        if (!title && $item.is('a')) title = $item.text().replace(/\s+/g, ' ').trim();
+        if (!title && !link) return;
+        title = title || titleFromUrl(link);
+
+        // Dates usually sit in <time datetime>, but fall back to the element's visible text
+        let dateObject = parseDateString(readPageField($item, selectors.date));
+        if (!dateObject && selectors.date && selectors.date.attribute) {
+            dateObject = parseDateString(readPageField($item, { selector: selectors.date.selector, attribute: null }));
+        }
+
+        let descriptionContent = '';
+        if (selectors.description) {
+            const $description = cheerio.load(readPageField($item, selectors.description, !selectors.description.attribute), null, false);
+            $description('a[href], img[src]').each((j, descriptionEl) => {
+                const name = descriptionEl.name === 'img' ? 'src' : 'href';
+                const resolved = resolvePageUrl($description(descriptionEl).attr(name), baseUrl);
+                if (resolved) $description(descriptionEl).attr(name, resolved);
+                else $description(descriptionEl).removeAttr(name);
+            });
+            descriptionContent = $description.html().trim();
+        }
+
+        items.push({ title, link, dateObject, descriptionContent, id: link || `${pageUrl}#item-${i + 1}`, sourceInfo: { title: pageTitle, url: pageUrl, type: 'page' } });
+    });
+
+    const info = {
+        title: pageTitle,
+        link: pageUrl,
+        description: items.length > 0
+            ? ($('meta[name="description"]').attr('content') || `Items selected from ${pageUrl} via crssnt.`)
+            : `No elements on ${pageUrl} matched the item selector "${selectors.item}".`,
+        language: $('html').attr('lang') || 'en',
+        generator: 'https://github.com/tgel0/crssnt (page)',
+        id: `urn:crssnt:page:${crypto.createHash('sha1').update(`${pageUrl} ${JSON.stringify(selectors)}`).digest('hex')}`,
+        sourceType: 'page'
+    };
+    return { info, items };
+}
+
+// Fetches an HTML page and runs its selected items through the same limits and filters as converted feeds
+async function loadPageFeed(pageUrl, selectors, requestUrl, itemLimit = 50, charLimit = 500, timeWindow = null, itemFilter = null, sortOrder = DEFAULT_SORT_ORDER) {
+    const resource = await fetchUrlResource(pageUrl);
+    const finalUrl = resource.url || pageUrl;
+    const { info, items } = extractPageFeed(resource.body, finalUrl, selectors);
+    const feedData = finalizeNormalizedFeed(items, info, finalUrl, itemLimit, charLimit, combineItemFilters(createTimeWindowFilter(timeWindow), itemFilter), sortOrder);
+    // The feed's self link is the crssnt request, so pagination and "Feed URL" point back here
+    feedData.metadata.feedUrl = requestUrl;
+    return feedData;
+}
+
+// --- Pagination ---
+const MAX_PAGE_SIZE = 100;
+
+function createPaginationError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Stable key for an item, so a cursor still points at the right place if newer items arrive between requests
+function getItemPageKey(item) {
+    const date = item.dateObject instanceof Date && isValid(item.dateObject) ? item.dateObject.getTime() : '';
+    const identity = item.id || item.link || `${item.title || ''}::${date}`;
+    return crypto.createHash('sha1').update(String(identity)).digest('hex').slice(0, 16);
+}
+
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (position && Number.isInteger(position.o) && position.o >= 0 && typeof position.k === 'string') return position;
+    } catch (e) { /* fall through */ }
+    throw createPaginationError('Invalid cursor. Use the next page link from a previous response.');
+}
+
+// Validates page_size/cursor query values; returns null when pagination was not requested
+function parsePaginationParams(pageSizeParam, cursorParam) {
+    if (pageSizeParam === undefined && cursorParam === undefined) return null;
+    const pageSize = pageSizeParam === undefined ? MAX_PAGE_SIZE : Number(pageSizeParam);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw createPaginationError(`Invalid page_size "${pageSizeParam}". Use a whole number between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+    const cursor = cursorParam !== undefined && String(cursorParam) !== '' ? decodeCursor(cursorParam) : null;
+    return { pageSize, cursor };
+}
+
+function buildPageUrl(pageBaseUrl, cursor) {
+    const url = new URL(pageBaseUrl);
+    if (cursor) url.searchParams.set('cursor', cursor);
+    else url.searchParams.delete('cursor');
+    return url.toString();
+}
+
+// Cuts one page out of the final item list. The cursor names the last item of the previous page
+// (falling back to its offset if that item is gone); page links are derived from metadata.feedUrl.
+// The anchor is only searched for from its old position on, so repeated keys cannot send the cursor back.
+function paginateFeedData(feedData, pageSize, cursor = null) {
+    const { metadata, items } = feedData;
+    let start = 0;
+    if (cursor) {
+        const anchorIndex = items.findIndex((item, index) => index >= cursor.o - 1 && getItemPageKey(item) === cursor.k);
+        start = anchorIndex >= 0 ? anchorIndex + 1 : Math.min(cursor.o, items.length);
+    }
+    const pageItems = items.slice(start, start + pageSize);
+    const hasMore = start + pageSize < items.length;
+    const nextCursor = hasMore ? encodeCursor({ o: start + pageSize, k: getItemPageKey(pageItems[pageItems.length - 1]) }) : null;
+    return {
+        metadata: {
+            ...metadata,
+            pagination: {
+                pageSize,
+                offset: start,
+                totalItems: items.length,
+                hasMore,
+                firstUrl: metadata.feedUrl ? buildPageUrl(metadata.feedUrl, null) : undefined,
+                nextUrl: hasMore && metadata.feedUrl ? buildPageUrl(metadata.feedUrl, nextCursor) : undefined
+            }
+        },
+        items: pageItems
+    };
+}
+
+// --- Token Budget ---
+// Estimates are deliberately simple (about four characters per token for English text); tokenizers vary by model
+const CHARS_PER_TOKEN = 4;
+const FEED_OVERHEAD_TOKENS = 60; // Feed-level fields and notes
+const ITEM_OVERHEAD_TOKENS = 16; // Field names, separators and the date
+const MIN_DESCRIPTION_TOKENS = 16; // Items are only dropped once descriptions cannot keep this much
+const MIN_MAX_TOKENS = 100;
+const MAX_MAX_TOKENS = 1000000;
+const MAX_BUDGET_REFITS = 3; // Measured output that still runs over is refitted at most this often
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+// Validates the max_tokens query value; returns null when no budget was requested
+function parseMaxTokens(maxTokensParam) {
+    if (maxTokensParam === undefined || String(maxTokensParam).trim() === '') return null;
+    const maxTokens = Number(maxTokensParam);
+    if (!Number.isInteger(maxTokens) || maxTokens < MIN_MAX_TOKENS || maxTokens > MAX_MAX_TOKENS) {
+        const error = new Error(`Invalid max_tokens "${maxTokensParam}". Use a whole number between ${MIN_MAX_TOKENS} and ${MAX_MAX_TOKENS}.`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return maxTokens;
+}
+
+// Fallback when no output format is known; the id is counted on its own because formats repeat the link there
+function estimateItemBaseTokens(item) {
+    const authors = (Array.isArray(item.authors) ? item.authors : []).map(author => author.name).join(', ');
+    const categories = (Array.isArray(item.categories) ? item.categories : []).join(', ');
+    return ITEM_OVERHEAD_TOKENS + estimateTokens(`${item.title || ''} ${item.id || item.link || ''} ${item.link || ''} ${authors} ${categories}`);
+}
+
+// Compact output only carries the description's text, so only that counts against the budget
+function estimateDescriptionTokens(item, isLlmCompact) {
+    const description = String(item.descriptionContent || '');
+    return estimateTokens(isLlmCompact ? getCleanTextFromHtml(description) : description);
+}
+
+// Max-min fair split: demands below the fair share are met in full and the rest share what is left equally
+function allocateFairly(demands, budget) {
+    const allocations = demands.map(() => 0);
+    let remaining = Math.max(0, budget);
+    const order = demands.map((demand, index) => index).sort((a, b) => demands[a] - demands[b]);
+    order.forEach((index, position) => {
+        allocations[index] = Math.min(demands[index], Math.floor(remaining / (order.length - position)));
+        remaining -= allocations[index];
+    });
+    return allocations;
+}
+
+function getBudgetSourceKey(item) {
+    return (item.sourceInfo && (item.sourceInfo.url || item.sourceInfo.title)) || '';
+}
+
+function shortenText(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    const cut = text.slice(0, Math.max(0, maxChars - 1));
+    const wordBoundary = cut.lastIndexOf(' ');
+    return `${(wordBoundary > maxChars / 2 ? cut.slice(0, wordBoundary) : cut).trimEnd()}…`;
+}
+
+// Per-item estimates from the output format itself: each item is written alone, with and without its
+// description, so field names, ids, dates and escaping are counted the way that format writes them.
+// The header is measured with a worst-case budget note, since the real one is only known afterwards.
+function measureTokenEstimates(feedData, maxTokens, measureTokens) {
+    const { items } = feedData;
+    const metadata = { ...feedData.metadata, tokenBudget: { maxTokens, estimatedTokens: maxTokens, tokensCut: MAX_MAX_TOKENS, descriptionsShortened: items.length, itemsDropped: items.length } };
+    const headerTokens = measureTokens({ metadata, items: [] });
+    const baseTokens = new Map();
+    const descriptionTokens = new Map();
+    items.forEach(item => {
+        const withoutDescription = measureTokens({ metadata, items: [{ ...item, descriptionContent: '' }] }) - headerTokens;
+        baseTokens.set(item, Math.max(0, withoutDescription));
+        descriptionTokens.set(item, Math.max(0, measureTokens({ metadata, items: [item] }) - headerTokens - withoutDescription));
+    });
+    return { headerTokens, baseTokens, descriptionTokens };
+}
+
+function estimateTokenEstimates(feedData, isLlmCompact) {
+    const { metadata, items } = feedData;
+    return {
+        headerTokens: FEED_OVERHEAD_TOKENS + estimateTokens(`${metadata.title || ''} ${metadata.description || ''} ${metadata.link || ''} ${metadata.feedUrl || ''}`),
+        baseTokens: new Map(items.map(item => [item, estimateItemBaseTokens(item)])),
+        descriptionTokens: new Map(items.map(item => [item, estimateDescriptionTokens(item, isLlmCompact)]))
+    };
+}
+
+function fitItemsToBudget(feedData, maxTokens, targetTokens, estimates, isLlmCompact) {
+    const { metadata } = feedData;
+    const { headerTokens, baseTokens, descriptionTokens } = estimates;
+    const items = [...feedData.items];
+    const itemBudget = targetTokens - headerTokens;
+    const originalTokens = headerTokens + items.reduce((sum, item) => sum + baseTokens.get(item) + descriptionTokens.get(item), 0);
+
+    const minimumTokens = (item) => baseTokens.get(item) + Math.min(descriptionTokens.get(item), MIN_DESCRIPTION_TOKENS);
+    let requiredTokens = items.reduce((sum, item) => sum + minimumTokens(item), 0);
+    let itemsDropped = 0;
+    while (items.length > 0 && requiredTokens > itemBudget) {
+        let dropIndex = items.length - 1;
+        if (!metadata.pagination) {
+            const sourceKeys = items.map(getBudgetSourceKey);
+            const itemCounts = new Map();
+            sourceKeys.forEach(key => itemCounts.set(key, (itemCounts.get(key) || 0) + 1));
+            const [largestSource] = [...itemCounts.entries()].reduce((largest, entry) => entry[1] > largest[1] ? entry : largest);
+            dropIndex = sourceKeys.lastIndexOf(largestSource);
+        }
+        requiredTokens -= minimumTokens(items[dropIndex]);
+        items.splice(dropIndex, 1);
+        itemsDropped++;
+    }
+
+    const descriptionBudget = itemBudget - items.reduce((sum, item) => sum + baseTokens.get(item), 0);
+    const itemsBySource = new Map();
+    items.forEach(item => {
+        const key = getBudgetSourceKey(item);
+        if (!itemsBySource.has(key)) itemsBySource.set(key, []);
+        itemsBySource.get(key).push(item);
+    });
+    const sourceGroups = [...itemsBySource.values()];
+    const sourceAllocations = allocateFairly(sourceGroups.map(sourceItems => sourceItems.reduce((sum, item) => sum + descriptionTokens.get(item), 0)), descriptionBudget);
+    const budgetedItems = new Map();
+    let descriptionsShortened = 0;
+    sourceGroups.forEach((sourceItems, sourceIndex) => {
+        const allocations = allocateFairly(sourceItems.map(item => descriptionTokens.get(item)), sourceAllocations[sourceIndex]);
+        sourceItems.forEach((item, itemIndex) => {
+            if (allocations[itemIndex] >= descriptionTokens.get(item)) {
+                budgetedItems.set(item, item);
+                return;
+            }
+            // Shortened descriptions are plain text, so a cut never leaves broken markup behind
+            const text = getCleanTextFromHtml(item.descriptionContent);
+            budgetedItems.set(item, { ...item, descriptionContent: allocations[itemIndex] > 0 ? shortenText(text, allocations[itemIndex] * CHARS_PER_TOKEN) : '' });
+            descriptionsShortened++;
+        });
+    });
+
+    const finalItems = items.map(item => budgetedItems.get(item));
+    const estimatedTokens = headerTokens + items.reduce((sum, item) => sum + baseTokens.get(item) + estimateDescriptionTokens(budgetedItems.get(item), isLlmCompact), 0);
+
+    let pagination = metadata.pagination;
+    if (pagination && itemsDropped > 0) {
+        const lastItem = finalItems[finalItems.length - 1];
+        const nextCursor = encodeCursor({ o: pagination.offset + finalItems.length, k: lastItem ? getItemPageKey(lastItem) : '' });
+        pagination = { ...pagination, hasMore: true, nextUrl: metadata.feedUrl ? buildPageUrl(metadata.feedUrl, nextCursor) : undefined };
+    }
+
+    return {
+        metadata: {
+            ...metadata,
+            pagination,
+            tokenBudget: { maxTokens, estimatedTokens, tokensCut: originalTokens - estimatedTokens, descriptionsShortened, itemsDropped }
         },
-        items: finalLimitedItems 
+        items: finalItems
     };
 }
 
+// Fits the items into an estimated token budget. Descriptions are shortened first, split fairly across
+// sources and then across each source's items; items are only dropped when descriptions cannot keep
+// MIN_DESCRIPTION_TOKENS each, taking them from the source with the most items left (or from the end of
+// a paginated page, so its next link picks up the dropped items).
+// measureTokens(feedData) estimates the serialized output of one format; without it flat per-item
+// overheads are used. With it the fitted output is measured too and refitted while it runs over.
+function applyTokenBudget(feedData, maxTokens, isLlmCompact = false, measureTokens = null) {
+    const estimates = measureTokens ? measureTokenEstimates(feedData, maxTokens, measureTokens) : estimateTokenEstimates(feedData, isLlmCompact);
+    let targetTokens = maxTokens;
+    let budgeted = fitItemsToBudget(feedData, maxTokens, targetTokens, estimates, isLlmCompact);
+    if (!measureTokens) return budgeted;
+
+    let measuredTokens = measureTokens(budgeted);
+    for (let refit = 0; refit < MAX_BUDGET_REFITS && measuredTokens > maxTokens; refit++) {
+        targetTokens -= measuredTokens - maxTokens;
+        budgeted = fitItemsToBudget(feedData, maxTokens, targetTokens, estimates, isLlmCompact);
+        measuredTokens = measureTokens(budgeted);
+    }
+    const { tokenBudget } = budgeted.metadata;
+    budgeted.metadata.tokenBudget = { ...tokenBudget, estimatedTokens: measuredTokens, tokensCut: tokenBudget.tokensCut + tokenBudget.estimatedTokens - measuredTokens };
+    return budgeted;
+}
+
+// One-sentence summary of what the token budget cut; empty when everything fit
+function formatTokenBudgetNote(tokenBudget) {
+    if (!tokenBudget || (tokenBudget.descriptionsShortened === 0 && tokenBudget.itemsDropped === 0)) return '';
+    return `Trimmed to about ${tokenBudget.estimatedTokens} tokens (max_tokens=${tokenBudget.maxTokens}): ${tokenBudget.descriptionsShortened} descriptions shortened, ${tokenBudget.itemsDropped} items dropped, about ${tokenBudget.tokensCut} tokens cut.`;
+}
 
 // --- Feed Output Generation ---
+// RFC 5005 paged feed links ("first" and "next"), emitted only for paginated responses
+function generatePagingLinksXml(metadata, elementName, indent = '') {
+    const pagination = metadata.pagination;
+    if (!pagination) return '';
+    let linksXml = '';
+    if (pagination.firstUrl) linksXml += `<${elementName} href="${escapeXmlMinimal(pagination.firstUrl)}" rel="first"/>\n${indent}`;
+    if (pagination.nextUrl) linksXml += `<${elementName} href="${escapeXmlMinimal(pagination.nextUrl)}" rel="next"/>\n${indent}`;
+    return linksXml;
+}
+
+// Identifies the output group an item belongs to: its source feed, or its first source category
+function getGroupInfo(item, groupBy) {
+    const sourceInfo = item.sourceInfo || {};
+    if (groupBy === 'category') {
+        const category = sourceInfo.category || (Array.isArray(item.categories) ? item.categories[0] : undefined);
+        return { key: `category:${category || ''}`, title: category || 'Uncategorized', url: undefined };
+    }
+    return { key: sourceInfo.url || 'unknown_source', title: sourceInfo.title || 'Unknown Source', url: sourceInfo.url };
+}
+
+function groupItemsForOutput(items, groupBy) {
+    const groups = new Map();
+    items.forEach(item => {
+        const { key, title, url } = getGroupInfo(item, groupBy);
+        if (!groups.has(key)) groups.set(key, { title, url, items: [] });
+        groups.get(key).items.push(item);
+    });
+    return [...groups.values()];
+}
+
+function getOutputGroupBy(metadata) {
+    if (metadata.groupBy) return metadata.groupBy;
+    return metadata.groupByFeed ? 'feed' : null;
+}
+
 function generateCustomFieldsXml(customFields) {
     if (!customFields || typeof customFields !== 'object') return '';
     let customXml = '';
@@ -549,8 +2671,7 @@ function generateRssItemXml(itemData) {
     const pubDateElement = pubDateString ? `<pubDate>${pubDateString}</pubDate>` : '';
 
 
-    const titleCDATA = `<![CDATA[${itemData.title || ''}]]>`;
-    const descriptionCDATA = `<![CDATA[${String(itemData.descriptionContent || '')}]]>`; 
+    const descriptionCDATA = wrapCdata(itemData.descriptionContent);
     const linkElement = itemData.link ? `<link>${escapeXmlMinimal(itemData.link)}</link>` : '';
     
     let guidElement;
@@ -564,8 +2685,26 @@ function generateRssItemXml(itemData) {
         guidElement = `<guid isPermaLink="false">${fallbackGuid}</guid>`;
     }
     const customFieldsXml = generateCustomFieldsXml(itemData.customFields); 
-
-    return `<item>\n                <title>${titleCDATA}</title>\n                <description>${descriptionCDATA}</description>\n                ${linkElement}\n                ${guidElement}\n                ${pubDateElement}\n                ${customFieldsXml ? customFieldsXml + '\n            ' : ''}</item>`;
+    // RSS 2.0 allows a single enclosure per item, so only the first attachment is emitted
+    const enclosure = Array.isArray(itemData.attachments) && itemData.attachments.length > 0 ? itemData.attachments[0] : null;
+    const authors = Array.isArray(itemData.authors) ? itemData.authors : [];
+    // <author> must carry an email address, so name-only authors use Dublin Core instead
+    const authorElements = authors.map(author => author.email
+        ? `<author>${escapeXmlMinimal(author.email === author.name ? author.email : `${author.email} (${author.name})`)}</author>\n                `
+        : `<dc:creator>${escapeXmlMinimal(author.name)}</dc:creator>\n                `).join('');
+    const categoryElements = (Array.isArray(itemData.categories) ? itemData.categories : [])
+        .map(category => `<category>${escapeXmlMinimal(category)}</category>\n                `).join('');
+    // <source> names the feed an item was taken from; page items have no feed to point at
+    const sourceInfo = itemData.sourceInfo || {};
+    const sourceFeedUrl = sourceInfo.type !== 'page' ? (sourceInfo.feedUrl || sourceInfo.url) : null;
+    const sourceElement = sourceFeedUrl && /^https?:\/\//i.test(sourceFeedUrl)
+        ? `<source url="${escapeXmlMinimal(sourceFeedUrl)}">${escapeXmlMinimal(sourceInfo.title || sourceFeedUrl)}</source>\n                `
+        : '';
+    const enclosureElement = enclosure
+        ? `<enclosure url="${escapeXmlMinimal(enclosure.url)}" length="${enclosure.length || 0}" type="${escapeXmlMinimal(enclosure.mimeType || 'application/octet-stream')}" />\n                `
+        : '';
+
+    return `<item>\n                <title>${escapeXmlMinimal(String(itemData.title || ''))}</title>\n                <description>${descriptionCDATA}</description>\n                ${linkElement}\n                ${guidElement}\n                ${pubDateElement}\n                ${authorElements}${categoryElements}${sourceElement}${enclosureElement}${customFieldsXml ? customFieldsXml + '\n            ' : ''}</item>`;
 }
 
 
@@ -593,7 +2732,7 @@ function generateRssFeed(feedData) {
     }
 
 
-    return `<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">\n<channel>\n    <title>${escapeXmlMinimal(metadata.title || 'Untitled Feed')}</title>\n    <link>${escapeXmlMinimal(metadata.link || '')}</link>\n    ${metadata.feedUrl ? `<atom:link href="${escapeXmlMinimal(metadata.feedUrl)}" rel="self" type="application/rss+xml" />\n    ` : ''}<description>${escapeXmlMinimal(descriptionText || '')}</description>\n    <lastBuildDate>${lastBuildDateString}</lastBuildDate>\n    ${metadata.language ? `<language>${escapeXmlMinimal(metadata.language)}</language>\n    ` : ''}${metadata.generator ? `<generator>${escapeXmlMinimal(metadata.generator)}</generator>\n    ` : ''}${itemXmlStrings}\n</channel>\n</rss>`;
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">\n<channel>\n    <title>${escapeXmlMinimal(metadata.title || 'Untitled Feed')}</title>\n    <link>${escapeXmlMinimal(metadata.link || '')}</link>\n    ${metadata.feedUrl ? `<atom:link href="${escapeXmlMinimal(metadata.feedUrl)}" rel="self" type="application/rss+xml" />\n    ` : ''}${generatePagingLinksXml(metadata, 'atom:link', '    ')}<description>${escapeXmlMinimal(descriptionText || '')}</description>\n    <lastBuildDate>${lastBuildDateString}</lastBuildDate>\n    ${metadata.language ? `<language>${escapeXmlMinimal(metadata.language)}</language>\n    ` : ''}${metadata.generator ? `<generator>${escapeXmlMinimal(metadata.generator)}</generator>\n    ` : ''}${itemXmlStrings}\n</channel>\n</rss>`;
 }
 
 function generateAtomEntryXml(itemData, feedMetadata) {
@@ -617,14 +2756,28 @@ function generateAtomEntryXml(itemData, feedMetadata) {
         entryId = `${baseId}:${hash}`;
     }
 
-    const titleElement = `<title type="html"><![CDATA[${title}]]></title>`; 
+    // Item titles are plain text; type="html" would let a title's markup reach the reader unsanitized
+    const titleElement = `<title type="text">${escapeXmlMinimal(title)}</title>`;
     const idElement = `<id>${escapeXmlMinimal(entryId)}</id>`;
     const updatedElement = `<updated>${updatedString}</updated>`;
     const linkElement = link ? `<link href="${escapeXmlMinimal(link)}" rel="alternate" />` : '';
-    const contentElement = `<content type="html"><![CDATA[${description}]]></content>`;
+    const contentElement = `<content type="html">${wrapCdata(description)}</content>`;
     const customFieldsXml = generateCustomFieldsXml(itemData.customFields);
-
-    return `<entry>\n                ${titleElement}\n                ${idElement}\n                ${updatedElement}\n                ${linkElement}\n                ${contentElement}\n                ${customFieldsXml ? customFieldsXml + '\n            ' : ''}</entry>`;
+    const authorElements = (Array.isArray(itemData.authors) ? itemData.authors : []).map(author => {
+        const uriElement = author.url ? `<uri>${escapeXmlMinimal(author.url)}</uri>` : '';
+        const emailElement = author.email ? `<email>${escapeXmlMinimal(author.email)}</email>` : '';
+        return `<author><name>${escapeXmlMinimal(author.name)}</name>${uriElement}${emailElement}</author>\n                `;
+    }).join('');
+    const categoryElements = (Array.isArray(itemData.categories) ? itemData.categories : [])
+        .map(category => `<category term="${escapeXmlMinimal(category)}" />\n                `).join('');
+    const enclosureElements = (Array.isArray(itemData.attachments) ? itemData.attachments : []).map(attachment => {
+        const typeAttr = attachment.mimeType ? ` type="${escapeXmlMinimal(attachment.mimeType)}"` : '';
+        const lengthAttr = attachment.length ? ` length="${attachment.length}"` : '';
+        const titleAttr = attachment.title ? ` title="${escapeXmlMinimal(attachment.title)}"` : '';
+        return `<link href="${escapeXmlMinimal(attachment.url)}" rel="enclosure"${typeAttr}${lengthAttr}${titleAttr} />\n                `;
+    }).join('');
+
+    return `<entry>\n                ${titleElement}\n                ${idElement}\n                ${updatedElement}\n                ${linkElement}\n                ${authorElements}${categoryElements}${enclosureElements}${contentElement}\n                ${customFieldsXml ? customFieldsXml + '\n            ' : ''}</entry>`;
 }
 
 function generateAtomFeed(feedData) {
@@ -645,9 +2798,9 @@ function generateAtomFeed(feedData) {
     if (metadata.itemCountLimited || metadata.itemCharLimited) {
         subtitleText += ' [Note: Feed content may be truncated due to limits.]';
     }
-   const subtitleElement = subtitleText ? `<subtitle type="html"><![CDATA[${subtitleText}]]></subtitle>` : '';
+   const subtitleElement = subtitleText ? `<subtitle type="html">${wrapCdata(subtitleText)}</subtitle>` : '';
 
-   return `<?xml version="1.0" encoding="utf-8"?>\n<feed xmlns="http://www.w3.org/2005/Atom" ${metadata.language ? `xml:lang="${escapeXmlMinimal(metadata.language)}"` : ''}>\n<title>${escapeXmlMinimal(metadata.title || 'Untitled Feed')}</title>\n${subtitleElement}\n<link href="${escapeXmlMinimal(metadata.feedUrl || '')}" rel="self" type="application/atom+xml"/>\n<link href="${escapeXmlMinimal(metadata.link || '')}" rel="alternate"/>\n<id>${escapeXmlMinimal(feedId)}</id>\n<updated>${feedUpdatedString}</updated>\n${metadata.generator ? `<generator uri="https://github.com/tgel0/crssnt" version="1.0">${escapeXmlMinimal(metadata.generator)}</generator>\n` : ''}${entryXmlStrings}\n</feed>`;
+   return `<?xml version="1.0" encoding="utf-8"?>\n<feed xmlns="http://www.w3.org/2005/Atom" ${metadata.language ? `xml:lang="${escapeXmlMinimal(metadata.language)}"` : ''}>\n<title>${escapeXmlMinimal(metadata.title || 'Untitled Feed')}</title>\n${subtitleElement}\n<link href="${escapeXmlMinimal(metadata.feedUrl || '')}" rel="self" type="application/atom+xml"/>\n<link href="${escapeXmlMinimal(metadata.link || '')}" rel="alternate"/>\n${generatePagingLinksXml(metadata, 'link')}<id>${escapeXmlMinimal(feedId)}</id>\n<updated>${feedUpdatedString}</updated>\n${metadata.generator ? `<generator uri="https://github.com/tgel0/crssnt" version="1.0">${escapeXmlMinimal(metadata.generator)}</generator>\n` : ''}${entryXmlStrings}\n</feed>`;
 }
 
 
@@ -673,28 +2826,59 @@ function generateJsonFeedObject(feedData, groupByFeedInternal = false, multipleS
             itemId = `${metadata.id || 'urn:uuid:temp'}:${crypto.createHash('sha1').update(stringToHash).digest('hex')}`;
         }
         
+        // JSON Feed keeps HTML in content_html; content_text is only for real plain text
         const description = String(item.descriptionContent || '');
-        const contentText = isLlmCompact ? getCleanTextFromHtml(description) : description;
+        const isHtmlDescription = !isLlmCompact && looksLikeHtml(description);
 
         const jsonItem = {
             id: isLlmCompact ? undefined : itemId, 
             url: item.link, 
             title: item.title,
-            content_text: contentText,
+            content_html: isHtmlDescription ? description : undefined,
+            content_text: isHtmlDescription ? undefined : (isLlmCompact ? getCleanTextFromHtml(description) : description),
             date_published: itemDate ? formatISO(itemDate) : undefined, 
         };
         
+        if (Array.isArray(item.authors) && item.authors.length > 0) {
+            jsonItem.authors = item.authors.map(author => {
+                const jsonAuthor = { name: author.name };
+                if (author.url && !isLlmCompact) jsonAuthor.url = author.url;
+                return jsonAuthor;
+            });
+        }
+        if (Array.isArray(item.categories) && item.categories.length > 0) jsonItem.tags = item.categories;
+        if (item.image) jsonItem.image = item.image;
+        if (Array.isArray(item.attachments) && item.attachments.length > 0) {
+            jsonItem.attachments = item.attachments.map(attachment => {
+                const jsonAttachment = { url: attachment.url, mime_type: attachment.mimeType || 'application/octet-stream' };
+                if (!isLlmCompact) {
+                    if (attachment.title) jsonAttachment.title = attachment.title;
+                    if (attachment.length) jsonAttachment.size_in_bytes = attachment.length;
+                    if (attachment.durationSeconds) jsonAttachment.duration_in_seconds = attachment.durationSeconds;
+                }
+                return jsonAttachment;
+            });
+        }
+
         if (item.customFields && !isLlmCompact) { 
             jsonItem._crssnt_custom_fields = item.customFields;
         }
+        if (item.fullTextExtracted && !isLlmCompact) jsonItem._crssnt_full_text = true;
         
-        if (metadata.groupByFeed && item.sourceInfo) { 
+        if (Array.isArray(item.alsoIn) && item.alsoIn.length > 0) {
+            jsonItem._crssnt_also_in = item.alsoIn.map(source => isLlmCompact
+                ? { title: source.title }
+                : { title: source.title, url: source.url, item_url: source.link });
+        }
+
+        if (getOutputGroupBy(metadata) && item.sourceInfo) { 
             jsonItem._source_feed = {
                 title: item.sourceInfo.title,
             };
             if (!isLlmCompact && item.sourceInfo.url) { 
                  jsonItem._source_feed.url = item.sourceInfo.url;
             }
+            if (item.sourceInfo.category) jsonItem._source_feed.category = item.sourceInfo.category;
         }
         Object.keys(jsonItem).forEach(key => jsonItem[key] === undefined && delete jsonItem[key]);
         return jsonItem;
@@ -706,12 +2890,47 @@ function generateJsonFeedObject(feedData, groupByFeedInternal = false, multipleS
         home_page_url: isLlmCompact ? undefined : metadata.link, 
         feed_url: isLlmCompact ? undefined : metadata.feedUrl,   
         description: isLlmCompact ? undefined : descriptionText, 
+        next_url: metadata.pagination ? metadata.pagination.nextUrl : undefined,
         items: items.map(mapItemToJson)
     };
 
     if (!isLlmCompact) {
         if (metadata.language) jsonFeed.language = metadata.language;
         if (metadata.generator) jsonFeed._crssnt_generator = metadata.generator;
+        if (Array.isArray(metadata.sources)) {
+            jsonFeed._crssnt_sources = metadata.sources.map(sourceStatus => {
+                const jsonSource = {
+                    url: sourceStatus.url,
+                    status: sourceStatus.status,
+                    http_status: sourceStatus.httpStatus,
+                    feed_url: sourceStatus.feedUrl,
+                    error_category: sourceStatus.errorCategory,
+                    error_message: sourceStatus.errorMessage,
+                    item_count: sourceStatus.itemCount,
+                    item_count_limited: sourceStatus.itemCountLimited
+                };
+                Object.keys(jsonSource).forEach(key => jsonSource[key] === undefined && delete jsonSource[key]);
+                return jsonSource;
+            });
+        }
+        if (metadata.fullText) {
+            jsonFeed._crssnt_full_text = {
+                attempted: metadata.fullText.attempted,
+                enriched: metadata.fullText.enriched,
+                failed: metadata.fullText.failed,
+                skipped: metadata.fullText.skipped,
+                enriched_items: metadata.fullText.enrichedItems
+            };
+        }
+    }
+    if (metadata.tokenBudget) {
+        jsonFeed._crssnt_token_budget = {
+            max_tokens: metadata.tokenBudget.maxTokens,
+            estimated_tokens: metadata.tokenBudget.estimatedTokens,
+            tokens_cut: metadata.tokenBudget.tokensCut,
+            descriptions_shortened: metadata.tokenBudget.descriptionsShortened,
+            items_dropped: metadata.tokenBudget.itemsDropped
+        };
     }
     
     Object.keys(jsonFeed).forEach(key => jsonFeed[key] === undefined && delete jsonFeed[key]);
@@ -728,31 +2947,22 @@ function generateMarkdown(feedData, groupByFeedInternal = false, multipleSources
 
    if (isLlmCompact) {
        const itemStrings = [];
-       if (metadata.groupByFeed) {
-           const groupedItems = {};
-           items.forEach(item => {
-               const sourceKey = item.sourceInfo ? item.sourceInfo.url : 'unknown_source';
-               if (!groupedItems[sourceKey]) {
-                   groupedItems[sourceKey] = {
-                       title: item.sourceInfo ? item.sourceInfo.title : 'Unknown Source',
-                       items: []
-                   };
-               }
-               groupedItems[sourceKey].items.push(item);
-           });
-
-           for (const sourceKey in groupedItems) {
-               const group = groupedItems[sourceKey];
+       const groupBy = getOutputGroupBy(metadata);
+       if (groupBy) {
+           for (const group of groupItemsForOutput(items, groupBy)) {
                let groupString = `# ${group.title}`; 
                const groupItemStrings = [];
                group.items.forEach(item => {
                    let itemStr = `## ${item.title || '(Untitled)'}`;
-                   const cleanDescription = getCleanTextFromHtml(item.descriptionContent);
+                   const cleanDescription = htmlToMarkdown(item.descriptionContent, { compact: true });
                    if (cleanDescription) {
                        itemStr += ` ${cleanDescription}`;
                    }
                    if (item.link) itemStr += ` Link: ${item.link}`;
                    if (item.dateObject && isValid(item.dateObject)) itemStr += ` Date: ${formatISO(item.dateObject)}`;
+                   itemStr += formatAuthorsAndCategories(item, true);
+                   itemStr += formatMediaLine(item, true);
+                   itemStr += formatAlsoIn(item, true);
                    groupItemStrings.push(itemStr);
                });
                groupString += " " + groupItemStrings.join(" --- "); 
@@ -761,15 +2971,21 @@ function generateMarkdown(feedData, groupByFeedInternal = false, multipleSources
        } else { 
            items.forEach(item => {
                let itemStr = `# ${item.title || '(Untitled)'}`;
-               const cleanDescription = getCleanTextFromHtml(item.descriptionContent);
+               const cleanDescription = htmlToMarkdown(item.descriptionContent, { compact: true });
                if (cleanDescription) {
                    itemStr += ` ${cleanDescription}`;
                }
                if (item.link) itemStr += ` Link: ${item.link}`;
                if (item.dateObject && isValid(item.dateObject)) itemStr += ` Date: ${formatISO(item.dateObject)}`;
+               itemStr += formatAuthorsAndCategories(item, true);
+               itemStr += formatMediaLine(item, true);
+               itemStr += formatAlsoIn(item, true);
                itemStrings.push(itemStr);
            });
        }
+       const tokenBudgetNote = formatTokenBudgetNote(metadata.tokenBudget);
+       if (tokenBudgetNote) itemStrings.push(tokenBudgetNote);
+       if (metadata.pagination && metadata.pagination.nextUrl) itemStrings.push(`Next page: ${metadata.pagination.nextUrl}`);
        md = itemStrings.join(" ||| "); 
 
        return md.trim();
@@ -783,39 +2999,118 @@ function generateMarkdown(feedData, groupByFeedInternal = false, multipleSources
     if (metadata.itemCountLimited || metadata.itemCharLimited) { 
         md += `\n**Note: Feed content may be truncated due to limits.**\n`;
     }
+    const failedSources = Array.isArray(metadata.sources) ? metadata.sources.filter(source => source.status !== 'ok') : [];
+    if (failedSources.length > 0) {
+        md += `\n**Note: ${failedSources.length} of ${metadata.sources.length} sources could not be loaded:**\n\n`;
+        failedSources.forEach(source => {
+            const httpDetail = source.httpStatus ? `, HTTP ${source.httpStatus}` : '';
+            md += `* ${escapeMarkdown(source.url)} (${escapeMarkdown(source.errorCategory || 'error')}${httpDetail})\n`;
+        });
+    }
+    if (metadata.fullText) {
+        const { attempted, enriched, failed, skipped } = metadata.fullText;
+        md += `\n**Full text:** extracted for ${enriched} of ${attempted} fetched articles`;
+        md += failed > 0 || skipped > 0 ? ` (${failed} failed, ${skipped} not fetched due to the per-request limit).\n` : '.\n';
+    }
+    const tokenBudgetNote = formatTokenBudgetNote(metadata.tokenBudget);
+    if (tokenBudgetNote) md += `\n**Note: ${escapeMarkdown(tokenBudgetNote)}**\n`;
+    const discoveredSources = Array.isArray(metadata.sources) ? metadata.sources.filter(source => source.feedUrl) : [];
+    if (discoveredSources.length > 0) {
+        md += `\n**Discovered feeds:**\n\n`;
+        discoveredSources.forEach(source => {
+            md += `* ${escapeMarkdown(source.url)} → ${escapeMarkdown(source.feedUrl)}\n`;
+        });
+    }
    md += `\n---\n\n`;
 
    if (items.length === 0) {
        md += "_No items found._\n";
    } else {
-       if (metadata.groupByFeed) { 
-           const groupedItems = {};
-           items.forEach(item => {
-               const sourceKey = item.sourceInfo ? item.sourceInfo.url : 'unknown_source';
-               if (!groupedItems[sourceKey]) {
-                   groupedItems[sourceKey] = {
-                       title: item.sourceInfo ? item.sourceInfo.title : 'Unknown Source',
-                       url: item.sourceInfo ? item.sourceInfo.url : '#',
-                       items: []
-                   };
-               }
-               groupedItems[sourceKey].items.push(item);
-           });
-           for (const sourceKey in groupedItems) {
-               const group = groupedItems[sourceKey];
-               md += `## From: ${escapeMarkdown(group.title)} ([${escapeMarkdown(group.url)}](${escapeMarkdown(group.url)}))\n\n`;
+       const groupBy = getOutputGroupBy(metadata);
+       if (groupBy) { 
+           for (const group of groupItemsForOutput(items, groupBy)) {
+               md += group.url
+                   ? `## From: ${escapeMarkdown(group.title)} ([${escapeMarkdown(group.url)}](${escapeMarkdown(group.url)}))\n\n`
+                   : `## ${escapeMarkdown(group.title)}\n\n`;
                group.items.forEach(item => md += renderMarkdownItem(item, false)); 
            }
        } else {
            items.forEach(item => md += renderMarkdownItem(item, false)); 
        }
    }
+   if (metadata.pagination && metadata.pagination.nextUrl) {
+       md += `[Next page](${escapeMarkdown(metadata.pagination.nextUrl)})\n`;
+   }
    return md;
 }
 
+function formatBytes(bytes) {
+    if (!bytes) return '';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes, unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) { value /= 1024; unitIndex++; }
+    return `${unitIndex === 0 ? value : value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+function formatDuration(totalSeconds) {
+    if (!totalSeconds) return '';
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+}
+
+function formatAuthorsAndCategories(item, isLlmCompact = false) {
+    const authorNames = (Array.isArray(item.authors) ? item.authors : []).map(author => author.name);
+    const categories = Array.isArray(item.categories) ? item.categories : [];
+    if (isLlmCompact) {
+        let compactStr = '';
+        if (authorNames.length > 0) compactStr += ` Author: ${authorNames.join(', ')}`;
+        if (categories.length > 0) compactStr += ` Tags: ${categories.join(', ')}`;
+        return compactStr;
+    }
+    let md = '';
+    if (authorNames.length > 0) md += `**Author:** ${escapeMarkdown(authorNames.join(', '))}\n`;
+    if (categories.length > 0) md += `**Categories:** ${escapeMarkdown(categories.join(', '))}\n`;
+    return md;
+}
+
+// One line summarizing an item's attachments and image; empty when the item has no media
+function formatMediaLine(item, isLlmCompact = false) {
+    const attachments = Array.isArray(item.attachments) ? item.attachments : [];
+    const mediaUrls = attachments.map(attachment => attachment.url);
+    if (item.image && !mediaUrls.includes(item.image)) mediaUrls.push(item.image);
+    if (mediaUrls.length === 0) return '';
+
+    if (isLlmCompact) return ` Media: ${mediaUrls.join(', ')}`;
+
+    const parts = attachments.map(attachment => {
+        const label = attachment.title || attachment.url.split('?')[0].split('/').pop() || attachment.url;
+        const details = [attachment.mimeType, formatBytes(attachment.length), formatDuration(attachment.durationSeconds)].filter(d => d);
+        return `[${escapeMarkdown(label)}](${escapeMarkdown(attachment.url)})${details.length > 0 ? ` (${escapeMarkdown(details.join(', '))})` : ''}`;
+    });
+    if (item.image && !attachments.some(attachment => attachment.url === item.image)) {
+        parts.push(`[image](${escapeMarkdown(item.image)})`);
+    }
+    return `**Media:** ${parts.join(', ')}\n`;
+}
+
+// Lists the other sources that carried a deduplicated item; empty when there are none
+function formatAlsoIn(item, isLlmCompact = false) {
+    const alsoIn = Array.isArray(item.alsoIn) ? item.alsoIn : [];
+    if (alsoIn.length === 0) return '';
+    const titles = alsoIn.map(source => source.title || source.url);
+    if (isLlmCompact) return ` Also in: ${titles.join(', ')}`;
+    const links = alsoIn.map((source, i) => source.link
+        ? `[${escapeMarkdown(titles[i])}](${escapeMarkdown(source.link)})`
+        : escapeMarkdown(titles[i]));
+    return `*Also in: ${links.join(', ')}*\n`;
+}
+
 function renderMarkdownItem(item, isLlmCompact = false) {
     if (isLlmCompact) { 
-        let itemStr = `${item.title || '(Untitled)'} - ${String(item.descriptionContent || '').replace(/\n+/g, ' ')}`;
+        let itemStr = `${item.title || '(Untitled)'} - ${htmlToMarkdown(item.descriptionContent, { compact: true })}`;
         if (item.link) itemStr += ` (${item.link})`;
         if (item.dateObject && isValid(item.dateObject)) itemStr += ` [${formatISO(item.dateObject)}]`;
         return itemStr;
@@ -828,7 +3123,11 @@ function renderMarkdownItem(item, isLlmCompact = false) {
     if (item.link) {
         itemMd += `**Link:** [${escapeMarkdown(item.link)}](${escapeMarkdown(item.link)})\n`;
     }
-    itemMd += `\n${String(item.descriptionContent || '')}\n\n`; 
+    itemMd += formatAuthorsAndCategories(item, false);
+    itemMd += formatMediaLine(item, false);
+    itemMd += formatAlsoIn(item, false);
+    // Item headings are level 3, so headings inside the description start at level 4
+    itemMd += `\n${htmlToMarkdown(item.descriptionContent, { headingOffset: 3 })}\n\n`;
     if (item.customFields) {
         itemMd += `**Custom Fields:**\n`;
         for (const key in item.customFields) {
@@ -841,6 +3140,42 @@ function renderMarkdownItem(item, isLlmCompact = false) {
 }
 
 
+// Summarizes per-source fetch results as response headers so callers can alert on broken sources
+function buildSourceStatusHeaders(sources) {
+    if (!Array.isArray(sources) || sources.length === 0) return {};
+    const failedCount = sources.filter(source => source.status !== 'ok').length;
+    const statusEntries = sources.map(source => {
+        let entry = `${encodeURIComponent(source.url)};status=${source.status}`;
+        if (source.status === 'ok') {
+            entry += `;items=${source.itemCount || 0}`;
+            if (source.itemCountLimited) entry += ';limited=1';
+        } else {
+            entry += `;category=${source.errorCategory || 'error'}`;
+        }
+        if (source.httpStatus) entry += `;http=${source.httpStatus}`;
+        if (source.feedUrl) entry += `;feed=${encodeURIComponent(source.feedUrl)}`;
+        return entry;
+    });
+    return {
+        'X-Crssnt-Sources-Total': String(sources.length),
+        'X-Crssnt-Sources-Failed': String(failedCount),
+        'X-Crssnt-Source-Status': statusEntries.join(', '),
+        'Access-Control-Expose-Headers': 'X-Crssnt-Sources-Total, X-Crssnt-Sources-Failed, X-Crssnt-Source-Status'
+    };
+}
+
+function generateOpml(feeds, metadata = {}) {
+    const dateCreated = format(metadata.dateCreated || new Date(), "EEE, dd MMM yyyy HH:mm:ss 'GMT'", { timeZone: 'GMT' });
+    const outlines = (Array.isArray(feeds) ? feeds : []).map(feed => {
+        const title = escapeXmlMinimal(feed.title || feed.xmlUrl);
+        const htmlUrl = feed.htmlUrl && feed.htmlUrl !== feed.xmlUrl ? ` htmlUrl="${escapeXmlMinimal(feed.htmlUrl)}"` : '';
+        const description = feed.description ? ` description="${escapeXmlMinimal(getCleanTextFromHtml(feed.description))}"` : '';
+        const category = Array.isArray(feed.categories) && feed.categories.length > 0 ? ` category="${escapeXmlMinimal(feed.categories.join(','))}"` : '';
+        return `    <outline type="rss" text="${title}" title="${title}" xmlUrl="${escapeXmlMinimal(feed.xmlUrl)}"${htmlUrl}${description}${category} />`;
+    }).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<opml version="2.0">\n  <head>\n    <title>${escapeXmlMinimal(metadata.title || 'crssnt sources')}</title>\n    <dateCreated>${dateCreated}</dateCreated>\n    <docs>http://opml.org/spec2.opml</docs>\n  </head>\n  <body>\n${outlines}\n  </body>\n</opml>`;
+}
+
 function generateBlockedFeedPlaceholder(sheetID, outputFormat, feedBaseUrl) {
     const statusCode = 410; 
     let placeholderFeed = '', contentType = '';
@@ -860,9 +3195,129 @@ function generateBlockedFeedPlaceholder(sheetID, outputFormat, feedBaseUrl) {
     return { feedXml: placeholderFeed, contentType, statusCode };
 }
 
+// --- Output Formats ---
+// Every format the handlers can serve. `options` names the request options a serializer honors
+// (others are dropped), `mediaTypes` are matched against the Accept header, and source-list formats
+// serialize the list of source feeds instead of their items.
+const OUTPUT_FORMATS = new Map();
+
+function createFormatError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function registerOutputFormat(outputFormat) {
+    OUTPUT_FORMATS.set(outputFormat.name, { aliases: [], mediaTypes: [], options: [], sourceList: false, ...outputFormat });
+}
+
+function getOutputFormat(name) {
+    const normalizedName = String(name || '').trim().toLowerCase();
+    if (OUTPUT_FORMATS.has(normalizedName)) return OUTPUT_FORMATS.get(normalizedName);
+    return [...OUTPUT_FORMATS.values()].find(outputFormat => outputFormat.aliases.includes(normalizedName)) || null;
+}
+
+// Names of the registered formats, optionally only item formats (sourceList false) or only source-list formats
+function listOutputFormats(sourceList) {
+    return [...OUTPUT_FORMATS.values()]
+        .filter(outputFormat => sourceList === undefined || outputFormat.sourceList === sourceList)
+        .map(outputFormat => outputFormat.name);
+}
+
+// Picks a format from the `format` parameter, or else the Accept header (highest q first, header order
+// breaking ties). Unknown `format` values are a 400; an Accept header without a match gets the default.
+function negotiateOutputFormat(formatParam, acceptHeader, defaultFormat, allowedFormats = listOutputFormats()) {
+    const requestedFormat = String((Array.isArray(formatParam) ? formatParam[0] : formatParam) || '').trim();
+    if (requestedFormat) {
+        const outputFormat = getOutputFormat(requestedFormat);
+        if (!outputFormat || !allowedFormats.includes(outputFormat.name)) {
+            throw createFormatError(`Unsupported format "${requestedFormat}". Use one of: ${allowedFormats.join(', ')}.`);
+        }
+        return outputFormat.name;
+    }
+
+    const mediaRanges = String(acceptHeader || '').split(',').map((part, index) => {
+        const [type, ...params] = part.split(';').map(segment => segment.trim().toLowerCase());
+        const qParam = params.find(param => param.startsWith('q='));
+        const q = qParam ? Number(qParam.slice(2)) : 1;
+        return { type, q: Number.isFinite(q) ? q : 0, index };
+    }).filter(range => range.type && range.q > 0).sort((a, b) => b.q - a.q || a.index - b.index);
+
+    const candidates = allowedFormats.map(getOutputFormat).filter(Boolean);
+    for (const range of mediaRanges) {
+        if (range.type === '*/*') return defaultFormat;
+        const typePrefix = range.type.endsWith('/*') ? range.type.slice(0, -1) : null;
+        const match = candidates.find(outputFormat => outputFormat.mediaTypes.some(mediaType => typePrefix ? mediaType.startsWith(typePrefix) : mediaType === range.type));
+        if (match) return match.name;
+    }
+    return defaultFormat;
+}
+
+// Serializes feed data (or, for source-list formats, the source feeds) and returns the body with its content type
+function serializeOutput(data, formatName, options = {}) {
+    const outputFormat = getOutputFormat(formatName);
+    if (!outputFormat) throw createFormatError(`Unsupported format "${formatName}".`);
+    const formatOptions = {};
+    outputFormat.options.forEach(name => { formatOptions[name] = options[name]; });
+    // Sanitizing and the token budget happen here rather than in each serializer, so every format gets the same items
+    let outputData = outputFormat.sourceList ? data : sanitizeFeedItems(data, options.sanitize || DEFAULT_SANITIZE_LEVEL);
+    if (formatOptions.maxTokens) {
+        const measureTokens = (budgetData) => estimateTokens(outputFormat.serialize(budgetData, formatOptions));
+        outputData = applyTokenBudget(outputData, formatOptions.maxTokens, Boolean(formatOptions.llmCompact), measureTokens);
+    }
+    return {
+        body: outputFormat.serialize(outputData, formatOptions),
+        contentType: typeof outputFormat.contentType === 'function' ? outputFormat.contentType(formatOptions) : outputFormat.contentType
+    };
+}
+
+registerOutputFormat({
+    name: 'rss',
+    mediaTypes: ['application/rss+xml'],
+    contentType: 'application/rss+xml; charset=utf8',
+    serialize: (feedData) => generateRssFeed(feedData)
+});
+
+registerOutputFormat({
+    name: 'atom',
+    mediaTypes: ['application/atom+xml'],
+    contentType: 'application/atom+xml; charset=utf8',
+    serialize: (feedData) => generateAtomFeed(feedData)
+});
+
+registerOutputFormat({
+    name: 'json',
+    mediaTypes: ['application/feed+json', 'application/json'],
+    contentType: 'application/feed+json; charset=utf8',
+    options: ['groupByFeed', 'multipleSources', 'llmCompact', 'maxTokens'],
+    serialize: (feedData, options) => {
+        const jsonObject = generateJsonFeedObject(feedData, Boolean(options.groupByFeed), Boolean(options.multipleSources), Boolean(options.llmCompact));
+        return options.llmCompact ? JSON.stringify(jsonObject) : JSON.stringify(jsonObject, null, 2);
+    }
+});
+
+registerOutputFormat({
+    name: 'markdown',
+    aliases: ['md'],
+    mediaTypes: ['text/markdown', 'text/plain'],
+    contentType: (options) => options.llmCompact ? 'text/plain; charset=utf8' : 'text/markdown; charset=utf8',
+    options: ['groupByFeed', 'multipleSources', 'llmCompact', 'maxTokens'],
+    serialize: (feedData, options) => generateMarkdown(feedData, Boolean(options.groupByFeed), Boolean(options.multipleSources), Boolean(options.llmCompact))
+});
+
+registerOutputFormat({
+    name: 'opml',
+    mediaTypes: ['text/x-opml'],
+    contentType: 'text/x-opml; charset=utf8',
+    options: ['title'],
+    sourceList: true,
+    serialize: (feeds, options) => generateOpml(feeds, { title: options.title })
+});
+
 module.exports = {
-    getSheetData, buildFeedData, fetchUrlContent, parseXmlFeedWithCheerio,
-    normalizeParsedFeed, processMultipleUrls, generateRssFeed, generateAtomFeed,
-    generateJsonFeedObject, generateMarkdown, generateBlockedFeedPlaceholder, parseDateString,
-    escapeMarkdown, escapeXmlMinimal
+    getSheetData, buildFeedData, createItemFilter, parseSortOrder, parseTimeWindow, parsePaginationParams, paginateFeedData, parseMaxTokens, applyTokenBudget, fetchUrlContent, assertFetchableUrl, lookupPublicAddress, isBlockedAddress, decodeResponseBody, createMemoryCacheStore, setFetchCacheStore, parseXmlFeedWithCheerio,
+    normalizeParsedFeed, normalizeJsonFeed, normalizeFeedContent, discoverFeedUrls, extractArticleContent, truncateHtml, dedupeItems, parseOpml, collectSourceFeedInfo, generateOpml, processMultipleUrls, parsePageSelectors, extractPageFeed, loadPageFeed, generateRssFeed, generateAtomFeed,
+    generateJsonFeedObject, generateMarkdown, generateBlockedFeedPlaceholder, buildSourceStatusHeaders, parseDateString,
+    registerOutputFormat, getOutputFormat, listOutputFormats, negotiateOutputFormat, serializeOutput,
+    htmlToMarkdown, parseSanitizeLevel, sanitizeHtml, sanitizeFeedItems, escapeMarkdown, escapeXmlMinimal
 };
@@ -15,15 +15,73 @@ const BLOCKED_SHEET_IDS = new Set(BLOCKED_SHEET_IDS_STRING.split(',').map(id =>
 
 initializeApp();
 
+// OPML reading lists are the point of the `opml` parameter, so they may carry more sources than `url=`
+const OPML_SOURCE_LIMIT = 50;
+// With page_size the whole list is paged through, so the per-sheet/per-source cap is raised to this
+const PAGINATED_ITEM_LIMIT = 500;
+
+/**
+ * Parses the item list query parameters shared by the sheet, feed and page handlers:
+ * `since` (or `timestamp`), `until`, `include_undated`, `include`, `exclude`, `match_field`,
+ * `page_size`, `cursor`, `sort`, `max_items`, `max_tokens` and `sanitize`.
+ *
+ * @param {import('firebase-functions/v2/https').Request} request The Firebase Functions request object.
+ * @param {number} functionDefinedItemLimit The default maximum number of items per sheet or source.
+ * @returns {{timeWindow: ?Object, itemFilter: ?Function, pagination: ?Object, sortOrder: string, effectiveItemLimit: number, maxTokens: ?number, sanitizeLevel: string}}
+ * @throws {Error} With `statusCode` 400 when a parameter value is invalid.
+ */
+function parseItemListOptions(request, functionDefinedItemLimit) {
+  // `timestamp` is the original name of the `since` lower bound
+  const timeWindow = feedUtils.parseTimeWindow(request.query.since || request.query.timestamp, request.query.until, request.query.include_undated);
+  const itemFilter = feedUtils.createItemFilter(request.query.include, request.query.exclude, request.query.match_field);
+  const pagination = feedUtils.parsePaginationParams(request.query.page_size, request.query.cursor);
+  const sortOrder = feedUtils.parseSortOrder(request.query.sort);
+  // Only honored by formats that support a token budget (JSON and Markdown)
+  const maxTokens = feedUtils.parseMaxTokens(request.query.max_tokens);
+  const sanitizeLevel = feedUtils.parseSanitizeLevel(request.query.sanitize);
+
+  // Determine effective itemLimit
+  const maxItemLimit = pagination ? Math.max(functionDefinedItemLimit, PAGINATED_ITEM_LIMIT) : functionDefinedItemLimit;
+  let effectiveItemLimit = maxItemLimit;
+  const queryMaxItems = request.query.max_items;
+  if (queryMaxItems) {
+      const queryLimit = parseInt(queryMaxItems, 10);
+      if (!isNaN(queryLimit) && queryLimit > 0) {
+          effectiveItemLimit = Math.min(maxItemLimit, queryLimit);
+      }
+  }
+  return { timeWindow, itemFilter, pagination, sortOrder, effectiveItemLimit, maxTokens, sanitizeLevel };
+}
+
+/**
+ * Resolves the output format of a request. Fixed-format endpoints pass their format through, while the
+ * format-agnostic endpoints (`outputFormat` null) pick it from the `format` query param or the `Accept` header.
+ *
+ * @param {import('firebase-functions/v2/https').Request} request The Firebase Functions request object.
+ * @param {import('firebase-functions/v2/https').Response} response The response; negotiated responses get `Vary: Accept`.
+ * @param {?string} outputFormat The endpoint's fixed format, or null to negotiate.
+ * @param {string} defaultFormat The format used when neither `format` nor `Accept` names a supported one.
+ * @param {string[]} allowedFormats The registered formats this endpoint can serve.
+ * @returns {string} The name of a registered output format.
+ * @throws {Error} With `statusCode` 400 when `format` names an unsupported format.
+ */
+function resolveOutputFormat(request, response, outputFormat, defaultFormat, allowedFormats) {
+  if (outputFormat) return outputFormat;
+  response.set('Vary', 'Accept');
+  return feedUtils.negotiateOutputFormat(request.query.format, request.get('accept'), defaultFormat, allowedFormats);
+}
+
 /**
  * Handles requests for converting Google Sheet data into a feed (RSS, Atom, JSON, Markdown).
  * It fetches data from a specified Google Sheet, processes it, and formats it into the desired feed type.
  *
  * @param {import('firebase-functions/v2/https').Request} request The Firebase Functions request object.
  *   Expects sheet ID in query `id` or as a path segment. Optional query params: `name` (sheet name),
- *   `use_manual_mode`, `llm_compact`, `timestamp`, `max_items`.
+ *   `use_manual_mode`, `llm_compact`, `since` (or `timestamp`), `until`, `include_undated`, `max_items`,
+ *   `include`, `exclude`, `match_field`, `page_size`, `cursor`, `sort`, `max_tokens`, `sanitize`, `format`.
  * @param {import('firebase-functions/v2/https').Response} response The Firebase Functions response object.
- * @param {string} [outputFormat='rss'] The desired output format ('rss', 'atom', 'json', 'markdown').
+ * @param {?string} [outputFormat='rss'] The desired output format ('rss', 'atom', 'json', 'markdown'),
+ *   or null to negotiate it from the `format` query param or the `Accept` header (defaulting to RSS).
  * @param {number} [functionDefinedItemLimit=50] The default maximum number of items to include in the feed.
  * @param {number} [functionDefinedCharLimit=500] The default character limit for item descriptions.
  * @param {boolean} [isPreviewContext=false] If true, applies settings suitable for a preview (e.g., shorter cache).
@@ -60,25 +118,15 @@ async function handleSheetRequest(
   const isLlmCompact = llmCompactParam === 'true' || llmCompactParam === '1';
   const baseUrl = "https://crssnt.com"
 
-  // New: Parse timestamp parameter
-  const sinceTimestampParam = request.query.timestamp;
-  let sinceTimestamp = null;
-  if (sinceTimestampParam) {
-      const parsedDate = feedUtils.parseDateString(String(sinceTimestampParam));
-      if (parsedDate) {
-          sinceTimestamp = parsedDate;
-      }
-  }
-
-  // Determine effective itemLimit
-  let effectiveItemLimit = functionDefinedItemLimit;
-  const queryMaxItems = request.query.max_items;
-  if (queryMaxItems) {
-      const queryLimit = parseInt(queryMaxItems, 10);
-      if (!isNaN(queryLimit) && queryLimit > 0) {
-          effectiveItemLimit = Math.min(functionDefinedItemLimit, queryLimit);
-      }
+  let listOptions;
+  let format;
+  try {
+      listOptions = parseItemListOptions(request, functionDefinedItemLimit);
+      format = resolveOutputFormat(request, response, outputFormat, 'rss', feedUtils.listOutputFormats(false));
+  } catch (e) {
+      return response.status(e.statusCode || 400).send(e.message);
   }
+  const { timeWindow, itemFilter, pagination, sortOrder, effectiveItemLimit, maxTokens, sanitizeLevel } = listOptions;
   // charLimit not configurable via query param for now
   const effectiveCharLimit = functionDefinedCharLimit;
 
@@ -94,7 +142,7 @@ async function handleSheetRequest(
   }
 
     if (BLOCKED_SHEET_IDS.has(sheetID)) {
-      const { feedXml, contentType, statusCode } = feedUtils.generateBlockedFeedPlaceholder(sheetID, outputFormat, baseUrl);
+      const { feedXml, contentType, statusCode } = feedUtils.generateBlockedFeedPlaceholder(sheetID, format, baseUrl);
       response.set('Cache-Control', 'public, max-age=3600, s-maxage=3600'); // Cache placeholder longer
       return response.status(statusCode).contentType(contentType).send(feedXml);
   }
@@ -106,32 +154,19 @@ async function handleSheetRequest(
     const pathAndQuery = request.originalUrl || request.url;
     const requestUrl = `${baseUrl}${pathAndQuery}`;
 
-    const feedData = feedUtils.buildFeedData(sheetData, mode, sheetTitle, sheetID, requestUrl, effectiveItemLimit, effectiveCharLimit, isPreviewContext, sinceTimestamp);
-
-    let feedOutput = '';
-    let contentType = '';
-
-    if (outputFormat === 'atom') {
-        feedOutput = feedUtils.generateAtomFeed(feedData);
-        contentType = 'application/atom+xml; charset=utf8';
-    } else if (outputFormat === 'json') {
-        const jsonObject = feedUtils.generateJsonFeedObject(feedData, false, false, isLlmCompact); 
-        feedOutput = isLlmCompact ? JSON.stringify(jsonObject) : JSON.stringify(jsonObject, null, 2);
-        contentType = 'application/feed+json; charset=utf8';
-    } else if (outputFormat === 'markdown') {
-        feedOutput = feedUtils.generateMarkdown(feedData, false, false, isLlmCompact); 
-        contentType = isLlmCompact ? 'text/plain; charset=utf8' : 'text/markdown; charset=utf8';
-    } else { // Default to RSS
-        feedOutput = feedUtils.generateRssFeed(feedData);
-        contentType = 'application/rss+xml; charset=utf8';
+    let feedData = feedUtils.buildFeedData(sheetData, mode, sheetTitle, sheetID, requestUrl, effectiveItemLimit, effectiveCharLimit, isPreviewContext, timeWindow, itemFilter, sortOrder);
+    if (pagination) {
+        feedData = feedUtils.paginateFeedData(feedData, pagination.pageSize, pagination.cursor);
     }
 
+    const { body: feedOutput, contentType } = feedUtils.serializeOutput(feedData, format, { llmCompact: isLlmCompact, maxTokens, sanitize: sanitizeLevel });
+
     response.set('Cache-Control', `public, max-age=${cacheTimeSeconds}, s-maxage=${cacheTimeSeconds}`);
     return response.status(200).contentType(contentType).send(feedOutput);
 
   } catch (err) {
 
-    console.error(`Error processing sheet ${sheetID} for ${outputFormat}:`, err);
+    console.error(`Error processing sheet ${sheetID} for ${format}:`, err);
     let statusCode = 500;
     let message = 'Something went wrong processing the spreadsheet.';
 
@@ -160,10 +195,13 @@ async function handleSheetRequest(
  * It fetches items from the given URLs, merges them, and formats the result into the desired output format.
  *
  * @param {import('firebase-functions/v2/https').Request} request The Firebase Functions request object.
- *   Expects feed URL(s) in the `url` query parameter. Optional query params: `group_by_feed`,
- *   `llm_compact`, `timestamp`, `max_items`.
+ *   Expects feed URL(s) in the `url` query parameter and/or an OPML source list, either linked via `opml`
+ *   or POSTed as the request body. Optional query params: `group_by_feed`, `group_by` (`feed`, `category`),
+ *   `llm_compact`, `since` (or `timestamp`), `until`, `include_undated`, `max_items`, `dedupe`, `full_text`,
+ *   `include`, `exclude`, `match_field`, `page_size`, `cursor`, `sort`, `max_tokens`, `sanitize`, `format`.
  * @param {import('firebase-functions/v2/https').Response} response The Firebase Functions response object.
- * @param {string} outputFormat The desired output format ('atom', 'json', 'markdown').
+ * @param {?string} outputFormat The desired output format ('rss', 'atom', 'json', 'markdown', 'opml'),
+ *   or null to negotiate it from the `format` query param or the `Accept` header (defaulting to JSON).
  * @param {number} [functionDefinedItemLimit=10] The default maximum number of items to include per source feed.
  * @param {number} [functionDefinedCharLimit=500] The default character limit for item descriptions.
  * @param {number} [functionDefinedUrlLimit=10] The maximum number of source URLs allowed.
@@ -179,54 +217,74 @@ async function handleUrlRequest(
 ) {
   let sourceUrls = request.query.url;
   const groupByFeedParam = request.query.group_by_feed;
-  const groupByFeed = groupByFeedParam === 'true' || groupByFeedParam === '1';
+  const groupByParam = String(request.query.group_by || '').toLowerCase();
+  const groupByFeed = groupByFeedParam === 'true' || groupByFeedParam === '1' || groupByParam === 'feed';
+  const groupBy = groupByParam === 'category' ? 'category' : (groupByFeed ? 'feed' : null);
   const llmCompactParam = request.query.llm_compact;
   const isLlmCompact = llmCompactParam === 'true' || llmCompactParam === '1';
+  const dedupeParam = request.query.dedupe;
+  const dedupe = dedupeParam === 'true' || dedupeParam === '1';
+  const fullTextParam = request.query.full_text;
+  const fullText = fullTextParam === 'true' || fullTextParam === '1';
 
-  // New: Parse timestamp parameter
-  const sinceTimestampParam = request.query.timestamp;
-  let sinceTimestamp = null;
-  if (sinceTimestampParam) {
-      const parsedDate = feedUtils.parseDateString(String(sinceTimestampParam));
-      if (parsedDate) {
-          sinceTimestamp = parsedDate;
-      }
-  }
-
-  // Determine effective itemLimit
-  let effectiveItemLimit = functionDefinedItemLimit;
-  const queryMaxItems = request.query.max_items;
-  if (queryMaxItems) {
-      const queryLimit = parseInt(queryMaxItems, 10);
-      if (!isNaN(queryLimit) && queryLimit > 0) {
-          effectiveItemLimit = Math.min(functionDefinedItemLimit, queryLimit);
-      }
+  let listOptions;
+  let format;
+  try {
+      listOptions = parseItemListOptions(request, functionDefinedItemLimit);
+      format = resolveOutputFormat(request, response, outputFormat, 'json', feedUtils.listOutputFormats());
+  } catch (e) {
+      return response.status(e.statusCode || 400).send(e.message);
   }
+  const { timeWindow, itemFilter, pagination, sortOrder, effectiveItemLimit, maxTokens, sanitizeLevel } = listOptions;
 
   const effectiveCharLimit = functionDefinedCharLimit;
 
-  if (!sourceUrls || (Array.isArray(sourceUrls) && sourceUrls.filter(u => String(u || '').trim()).length === 0)) {
-      return response.status(400).send('Source URL(s) not provided. Use query parameter "?url=FEED_URL". You can provide multiple "url" parameters.');
+  const opmlUrl = String(request.query.opml || '').trim();
+  const opmlBody = request.method === 'POST' && request.rawBody ? request.rawBody : null;
+  const usesOpml = Boolean(opmlUrl || (opmlBody && opmlBody.length > 0));
+
+  if (!usesOpml && (!sourceUrls || (Array.isArray(sourceUrls) && sourceUrls.filter(u => String(u || '').trim()).length === 0))) {
+      return response.status(400).send('Source URL(s) not provided. Use query parameter "?url=FEED_URL" or "?opml=OPML_URL". You can provide multiple "url" parameters.');
   }
 
   if (!Array.isArray(sourceUrls)) {
-      sourceUrls = [sourceUrls];
+      sourceUrls = sourceUrls ? [sourceUrls] : [];
   }
   sourceUrls = sourceUrls.map(u => String(u || '').trim()).filter(u => u);
 
+  const sourceCategories = {};
+  if (usesOpml) {
+      let opmlSources;
+      try {
+          const opmlContent = opmlUrl
+              ? await feedUtils.fetchUrlContent(opmlUrl)
+              : feedUtils.decodeResponseBody(opmlBody, request.get('content-type'));
+          opmlSources = feedUtils.parseOpml(opmlContent);
+      } catch (e) {
+          console.warn(`Failed to load OPML source list ${opmlUrl || '(request body)'}: ${e.message}`);
+          return response.status(e.statusCode || 400).send(`Could not load OPML source list. Details: ${e.message}`);
+      }
+      opmlSources.forEach(source => {
+          if (!sourceUrls.includes(source.url)) sourceUrls.push(source.url);
+          sourceCategories[source.url] = source.categories;
+      });
+  }
+
   if (sourceUrls.length === 0) {
-    return response.status(400).send('No valid source URLs provided after trimming.');
+    return response.status(400).send(usesOpml ? 'The OPML source list does not contain any feed URLs (<outline xmlUrl="...">).' : 'No valid source URLs provided after trimming.');
   }
 
-  if (sourceUrls.length > functionDefinedUrlLimit) {
-    return response.status(400).send(`Too many source URLs provided. The maximum allowed is ${functionDefinedUrlLimit}. You provided ${sourceUrls.length}.`);
+  const sourceUrlLimit = usesOpml ? Math.max(functionDefinedUrlLimit, OPML_SOURCE_LIMIT) : functionDefinedUrlLimit;
+  if (sourceUrls.length > sourceUrlLimit) {
+    return response.status(400).send(`Too many source URLs provided. The maximum allowed is ${sourceUrlLimit}. You provided ${sourceUrls.length}.`);
   }
 
+  // Only the scheme and literal hosts are checked up front; resolved addresses are checked when each source is fetched
   for (const url of sourceUrls) {
       try {
-          new URL(url);
+          feedUtils.assertFetchableUrl(url);
       } catch (e) {
-          return response.status(400).send(`Invalid source URL format: ${url}`);
+          return response.status(e.statusCode || 400).send(e.message);
       }
   }
   
@@ -235,46 +293,131 @@ async function handleUrlRequest(
   const requestUrl = `${baseUrl}${pathAndQuery}`;
 
   try {
-      const feedData = await feedUtils.processMultipleUrls(sourceUrls, requestUrl, effectiveItemLimit, effectiveCharLimit, groupByFeed, sinceTimestamp);
-
-      let feedOutput = '';
-      let contentType = '';
-
-      if (outputFormat === 'json') {
-        const jsonObject = feedUtils.generateJsonFeedObject(feedData, groupByFeed, sourceUrls.length > 1, isLlmCompact);
-        feedOutput = isLlmCompact ? JSON.stringify(jsonObject) : JSON.stringify(jsonObject, null, 2);
-        contentType = 'application/feed+json; charset=utf8';
-    } else if (outputFormat === 'markdown') {
-        feedOutput = feedUtils.generateMarkdown(feedData, groupByFeed, sourceUrls.length > 1, isLlmCompact);
-        contentType = isLlmCompact ? 'text/plain; charset=utf8' : 'text/markdown; charset=utf8'; 
-    } else if (outputFormat === 'atom') { 
-        feedOutput = feedUtils.generateAtomFeed(feedData);
-        contentType = 'application/atom+xml; charset=utf8';
-    } else { 
-        console.warn(`Unsupported or non-standard output format '${outputFormat}' requested for URL feed. Defaulting to JSON.`);
-        const jsonObject = feedUtils.generateJsonFeedObject(feedData, false, false, false); 
-        feedOutput = JSON.stringify(jsonObject, null, 2);
-        contentType = 'application/feed+json; charset=utf8';
-    }
+      if (feedUtils.getOutputFormat(format).sourceList) {
+          const { feeds, sources } = await feedUtils.collectSourceFeedInfo(sourceUrls);
+          feeds.forEach(feed => { feed.categories = sourceCategories[feed.url]; });
+          const { body: sourceListOutput, contentType } = feedUtils.serializeOutput(feeds, format, { title: `crssnt sources (${feeds.length} feeds)` });
+          response.set('Cache-Control', 'public, max-age=300, s-maxage=300');
+          response.set(feedUtils.buildSourceStatusHeaders(sources));
+          return response.status(200).contentType(contentType).send(sourceListOutput);
+      }
+
+      const feedData = await feedUtils.processMultipleUrls(sourceUrls, requestUrl, effectiveItemLimit, effectiveCharLimit, groupByFeed, timeWindow, {
+          dedupe, fullText, itemFilter, sortOrder, sourceCategories, groupBy, pagination
+      });
+
+      const { body: feedOutput, contentType } = feedUtils.serializeOutput(feedData, format, {
+          groupByFeed, multipleSources: sourceUrls.length > 1, llmCompact: isLlmCompact, maxTokens, sanitize: sanitizeLevel
+      });
 
       response.set('Cache-Control', 'public, max-age=300, s-maxage=300');
+      response.set(feedUtils.buildSourceStatusHeaders(feedData.metadata.sources));
       return response.status(200).contentType(contentType).send(feedOutput);
 
   } catch (err) {
-      console.error(`Error processing URL ${sourceUrl} for ${outputFormat}:`, err);
+      const sourceList = sourceUrls.join(', ');
+      console.error(`Error processing URL(s) ${sourceList} for ${format}:`, err);
       let statusCode = 500;
       let message = 'Something went wrong processing the external feed.';
-      if (err.message.includes('Failed to fetch') || err.message.includes('invalid URL')) {
+      if (Array.isArray(err.sources)) {
+          // Every source failed; report each one so the caller can see why
+          response.set(feedUtils.buildSourceStatusHeaders(err.sources));
+          const clientStatusCodes = new Set(err.sources.map(source => source.statusCode));
+          statusCode = clientStatusCodes.size === 1 && !clientStatusCodes.has(undefined) ? [...clientStatusCodes][0] : 502;
+          const details = err.sources.map(source => `${source.url}: ${source.errorMessage || source.errorCategory}`).join('; ');
+          message = `Could not fetch any items from the provided source URL(s). Details: ${details}`;
+      } else if (err.message.includes('Failed to fetch') || err.message.includes('invalid URL')) {
           statusCode = 400;
-          message = `Could not fetch or invalid source URL: ${sourceUrl}. Details: ${err.message}`;
+          message = `Could not fetch or invalid source URL: ${sourceList}. Details: ${err.message}`;
       } else if (err.message.includes('Unknown feed type')) {
           statusCode = 400;
-          message = `Could not determine feed type (RSS or Atom) for URL: ${sourceUrl}.`;
+          message = `Could not determine feed type (RSS 2.0, RSS 1.0/RDF, Atom, JSON Feed or sitemap) for URL: ${sourceList}.`;
       }
       return response.status(statusCode).send(message);
   }
 }
 
+/**
+ * Handles requests for building a feed from an HTML page that has no feed of its own.
+ * Items are the elements matching the `item` CSS selector; their fields are read with the optional
+ * `title`, `link`, `date` and `description` selectors, and relative links are resolved against the page URL.
+ *
+ * @param {import('firebase-functions/v2/https').Request} request The Firebase Functions request object.
+ *   Expects the page URL in the `url` query parameter and the `item` selector. Optional query params:
+ *   `title`, `link`, `date`, `description`, `llm_compact`, `max_items`, `since` (or `timestamp`), `until`,
+ *   `include_undated`, `include`, `exclude`, `match_field`, `page_size`, `cursor`, `sort`, `max_tokens`, `sanitize`, `format`.
+ * @param {import('firebase-functions/v2/https').Response} response The Firebase Functions response object.
+ * @param {?string} [outputFormat='rss'] The desired output format ('rss', 'atom', 'json', 'markdown'),
+ *   or null to negotiate it from the `format` query param or the `Accept` header (defaulting to RSS).
+ * @param {number} [functionDefinedItemLimit=25] The default maximum number of items to include in the feed.
+ * @param {number} [functionDefinedCharLimit=500] The default character limit for item descriptions.
+ * @returns {Promise<void>} A promise that resolves when the response has been sent.
+ */
+async function handlePageRequest(
+  request,
+  response,
+  outputFormat = 'rss',
+  functionDefinedItemLimit = 25,
+  functionDefinedCharLimit = 500
+) {
+  const pageUrlParam = Array.isArray(request.query.url) ? request.query.url : [request.query.url];
+  const pageUrls = pageUrlParam.map(u => String(u || '').trim()).filter(u => u);
+  const llmCompactParam = request.query.llm_compact;
+  const isLlmCompact = llmCompactParam === 'true' || llmCompactParam === '1';
+
+  if (pageUrls.length === 0) {
+      return response.status(400).send('Page URL not provided. Use query parameter "?url=PAGE_URL".');
+  }
+  if (pageUrls.length > 1) {
+      return response.status(400).send('Only one page URL can be converted per request.');
+  }
+  const pageUrl = pageUrls[0];
+
+  let listOptions;
+  let selectors;
+  let format;
+  try {
+      listOptions = parseItemListOptions(request, functionDefinedItemLimit);
+      selectors = feedUtils.parsePageSelectors(request.query);
+      format = resolveOutputFormat(request, response, outputFormat, 'rss', feedUtils.listOutputFormats(false));
+  } catch (e) {
+      return response.status(e.statusCode || 400).send(e.message);
+  }
+  const { timeWindow, itemFilter, pagination, sortOrder, effectiveItemLimit, maxTokens, sanitizeLevel } = listOptions;
+  const effectiveCharLimit = functionDefinedCharLimit;
+
+  try {
+      feedUtils.assertFetchableUrl(pageUrl);
+  } catch (e) {
+      return response.status(e.statusCode || 400).send(e.message);
+  }
+
+  const baseUrl = "https://crssnt.com"
+  const pathAndQuery = request.originalUrl || request.url;
+  const requestUrl = `${baseUrl}${pathAndQuery}`;
+
+  try {
+      let feedData = await feedUtils.loadPageFeed(pageUrl, selectors, requestUrl, effectiveItemLimit, effectiveCharLimit, timeWindow, itemFilter, sortOrder);
+      if (pagination) {
+          feedData = feedUtils.paginateFeedData(feedData, pagination.pageSize, pagination.cursor);
+      }
+
+      const { body: feedOutput, contentType } = feedUtils.serializeOutput(feedData, format, { llmCompact: isLlmCompact, maxTokens, sanitize: sanitizeLevel });
+
+      response.set('Cache-Control', 'public, max-age=300, s-maxage=300');
+      return response.status(200).contentType(contentType).send(feedOutput);
+
+  } catch (err) {
+      console.error(`Error processing page ${pageUrl} for ${format}:`, err);
+      // Fetch errors carry their own client status (403, 413, 415, ...); other upstream failures are a bad gateway
+      const statusCode = err.statusCode || (err.category ? 502 : 500);
+      const message = err.category
+          ? `Could not fetch page ${pageUrl}. Details: ${err.message}`
+          : 'Something went wrong processing the page.';
+      return response.status(statusCode).send(message);
+  }
+}
+
 
 exports.previewFunctionV2 = onRequest(
   { cors: true, secrets: ["SHEETS_API_KEY", "BLOCKED_SHEET_IDS"], cpu: 0.08 },
@@ -301,6 +444,16 @@ exports.sheetToMarkdown = onRequest(
   (request, response) => handleSheetRequest(request, response, 'markdown', 50, 500)
 );
 
+exports.sheetToAny = onRequest(
+  { cors: true, secrets: ["SHEETS_API_KEY", "BLOCKED_SHEET_IDS"], cpu: 0.08 },
+  (request, response) => handleSheetRequest(request, response, null, 50, 500)
+);
+
+exports.feedToRss = onRequest(
+  { cors: true, cpu: 1, concurrency: 15 },
+  (request, response) => handleUrlRequest(request, response, 'rss', 25, 500, 10)
+);
+
 exports.feedToAtom = onRequest(
   { cors: true, cpu: 1, concurrency: 15 },
   (request, response) => handleUrlRequest(request, response, 'atom', 25, 500, 10)
@@ -315,3 +468,38 @@ exports.feedToMarkdown = onRequest(
   { cors: true, cpu: 1, concurrency: 15 },
   (request, response) => handleUrlRequest(request, response, 'markdown', 25, 500, 10)
 );
+
+exports.feedToOpml = onRequest(
+  { cors: true, cpu: 1, concurrency: 15 },
+  (request, response) => handleUrlRequest(request, response, 'opml', 25, 500, 10)
+);
+
+exports.feedToAny = onRequest(
+  { cors: true, cpu: 1, concurrency: 15 },
+  (request, response) => handleUrlRequest(request, response, null, 25, 500, 10)
+);
+
+exports.pageToRss = onRequest(
+  { cors: true, cpu: 1, concurrency: 15 },
+  (request, response) => handlePageRequest(request, response, 'rss', 25, 500)
+);
+
+exports.pageToAtom = onRequest(
+  { cors: true, cpu: 1, concurrency: 15 },
+  (request, response) => handlePageRequest(request, response, 'atom', 25, 500)
+);
+
+exports.pageToJson = onRequest(
+  { cors: true, cpu: 1, concurrency: 15 },
+  (request, response) => handlePageRequest(request, response, 'json', 25, 500)
+);
+
+exports.pageToMarkdown = onRequest(
+  { cors: true, cpu: 1, concurrency: 15 },
+  (request, response) => handlePageRequest(request, response, 'markdown', 25, 500)
+);
+
+exports.pageToAny = onRequest(
+  { cors: true, cpu: 1, concurrency: 15 },
+  (request, response) => handlePageRequest(request, response, null, 25, 500)
+);
@@ -1,14 +1,52 @@
+// Resolve every hostname to a public address so tests never depend on real DNS
+jest.mock('dns', () => ({
+    promises: { lookup: jest.fn(async () => [{ address: '93.184.216.34', family: 4 }]) }
+}));
+const dns = require('dns');
+
 // Import helper functions to be tested or used in tests
 const { 
     buildFeedData, 
+    createItemFilter,
+    parseSortOrder,
+    parseTimeWindow,
+    parsePaginationParams,
+    paginateFeedData,
     generateRssFeed, 
     generateAtomFeed, 
     generateJsonFeedObject, 
     generateMarkdown,
     parseXmlFeedWithCheerio, 
     normalizeParsedFeed, 
+    normalizeFeedContent,
+    discoverFeedUrls,
+    extractArticleContent,
+    truncateHtml,
+    dedupeItems,
+    parseOpml,
+    collectSourceFeedInfo,
+    generateOpml,
     parseDateString,
     processMultipleUrls,
+    parseMaxTokens,
+    applyTokenBudget,
+    negotiateOutputFormat,
+    serializeOutput,
+    listOutputFormats,
+    parsePageSelectors,
+    extractPageFeed,
+    loadPageFeed,
+    buildSourceStatusHeaders,
+    fetchUrlContent,
+    assertFetchableUrl,
+    lookupPublicAddress,
+    isBlockedAddress,
+    decodeResponseBody,
+    createMemoryCacheStore,
+    setFetchCacheStore,
+    htmlToMarkdown,
+    parseSanitizeLevel,
+    sanitizeHtml,
     escapeXmlMinimal // Added for testing generateRssFeed notices
 } = require('./helper');
 const { format, formatISO, parseISO } = require('date-fns');
@@ -27,6 +65,11 @@ afterAll(() => {
   jest.useRealTimers();
 });
 
+// Start every test with an empty upstream cache so mocked responses are not shared between tests
+afterEach(() => {
+  setFetchCacheStore(createMemoryCacheStore());
+});
+
 // --- Mock Input Data ---
 const mockSheetTitle = 'Test Sheet <Title>'; 
 const mockSheetID = 'TEST_SHEET_ID_123';
@@ -357,6 +400,1153 @@ describe('normalizeParsedFeed with itemLimit', () => {
     });
 });
 
+const mockJsonFeed = JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: 'JSON Feed Delta',
+    home_page_url: 'https://delta.example.com',
+    feed_url: 'https://delta.example.com/feed.json',
+    items: [
+        { id: 'delta-1', url: 'https://delta.example.com/d1', title: 'Delta Item 1 (Older)', content_text: 'Plain delta text', date_published: '2025-04-02T08:00:00Z' },
+        { id: 2, url: 'https://delta.example.com/d2', title: 'Delta Item 2 (Newest)', content_html: '<p>Delta <b>HTML</b></p>', date_published: '2025-04-08T08:00:00Z' },
+        { url: 'https://delta.example.com/d3', content_text: 'No title, no date' }
+    ]
+});
+
+describe('normalizeFeedContent with JSON Feed sources', () => {
+    it('should map JSON Feed items into the normalized item shape', () => {
+        const feedData = normalizeFeedContent(mockJsonFeed, 'https://delta.example.com/feed.json');
+        expect(feedData.metadata.sourceType).toBe('json');
+        expect(feedData.metadata.title).toBe('JSON Feed Delta');
+        expect(feedData.metadata.link).toBe('https://delta.example.com');
+        expect(feedData.items).toHaveLength(3);
+        expect(feedData.items[0]).toMatchObject({
+            title: 'Delta Item 2 (Newest)',
+            link: 'https://delta.example.com/d2',
+            descriptionContent: '<p>Delta <b>HTML</b></p>',
+            id: '2',
+            sourceInfo: { title: 'JSON Feed Delta', url: 'https://delta.example.com/feed.json', type: 'json' }
+        });
+        expect(feedData.items[0].dateObject.toISOString()).toBe('2025-04-08T08:00:00.000Z');
+        expect(feedData.items[1].descriptionContent).toBe('Plain delta text');
+        expect(feedData.items[2].title).toBe('(Untitled)');
+        expect(feedData.items[2].id).toBe('https://delta.example.com/d3');
+    });
+
+    it('should report JSON documents that are not JSON Feeds as unknown', () => {
+        const feedData = normalizeFeedContent('{"foo": "bar"}', 'https://delta.example.com/other.json');
+        expect(feedData.metadata.sourceType).toBe('unknown');
+        expect(feedData.items).toHaveLength(0);
+    });
+
+    it('should still normalize XML content through the RSS/Atom branches', () => {
+        const feedData = normalizeFeedContent(mockRssXmlFeed1, 'https://alpha.example.com/rss.xml', 2);
+        expect(feedData.metadata.sourceType).toBe('rss');
+        expect(feedData.items).toHaveLength(2);
+    });
+});
+
+const mockRdfXmlFeed = `<?xml version="1.0" encoding="UTF-8"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel rdf:about="https://epsilon.example.com/index.rdf">
+        <title>RDF Feed Epsilon</title>
+        <link>https://epsilon.example.com</link>
+        <description>Epsilon items</description>
+        <dc:language>de</dc:language>
+        <items><rdf:Seq><rdf:li rdf:resource="https://epsilon.example.com/e1"/><rdf:li rdf:resource="https://epsilon.example.com/e2"/></rdf:Seq></items>
+    </channel>
+    <item rdf:about="https://epsilon.example.com/e1">
+        <title>Epsilon Item 1 (Older)</title>
+        <link>https://epsilon.example.com/e1</link>
+        <description>Epsilon desc 1</description>
+        <dc:date>2025-04-01T06:00:00Z</dc:date>
+        <dc:creator>Erika Mustermann</dc:creator>
+        <dc:subject>Science</dc:subject>
+        <dc:subject>Policy</dc:subject>
+    </item>
+    <item rdf:about="https://epsilon.example.com/e2">
+        <title>Epsilon Item 2 (Newer)</title>
+        <dc:date>2025-04-02T06:00:00Z</dc:date>
+    </item>
+</rdf:RDF>`;
+
+describe('normalizeParsedFeed with RSS 1.0 (RDF) sources', () => {
+    const $ = parseXmlFeedWithCheerio(mockRdfXmlFeed);
+    const feedData = normalizeParsedFeed($, 'https://epsilon.example.com/index.rdf');
+
+    it('should detect RDF feeds and read channel metadata', () => {
+        expect(feedData.metadata.sourceType).toBe('rdf');
+        expect(feedData.metadata.title).toBe('RDF Feed Epsilon');
+        expect(feedData.metadata.link).toBe('https://epsilon.example.com');
+        expect(feedData.metadata.language).toBe('de');
+    });
+
+    it('should map items that are siblings of the channel, using Dublin Core fields', () => {
+        expect(feedData.items).toHaveLength(2);
+        expect(feedData.items[0].title).toBe('Epsilon Item 2 (Newer)');
+        expect(feedData.items[0].link).toBe('https://epsilon.example.com/e2');
+        expect(feedData.items[1].dateObject.toISOString()).toBe('2025-04-01T06:00:00.000Z');
+        expect(feedData.items[1].id).toBe('https://epsilon.example.com/e1');
+        expect(feedData.items[1].descriptionContent).toBe('Epsilon desc 1');
+        expect(feedData.items[1].authors).toEqual([{ name: 'Erika Mustermann' }]);
+        expect(feedData.items[1].categories).toEqual(['Science', 'Policy']);
+    });
+});
+
+const mockPodcastRssFeed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:media="http://search.yahoo.com/mrss/">
+<channel>
+    <title>Podcast Zeta</title>
+    <item>
+        <title>Episode 1</title>
+        <link>https://zeta.example.com/ep1</link>
+        <pubDate>Wed, 02 Apr 2025 10:00:00 GMT</pubDate>
+        <enclosure url="https://cdn.zeta.example.com/ep1.mp3" length="25165824" type="audio/mpeg"/>
+        <itunes:duration>45:10</itunes:duration>
+        <itunes:image href="https://cdn.zeta.example.com/ep1.jpg"/>
+        <media:content url="https://cdn.zeta.example.com/ep1.mp3" type="audio/mpeg"/>
+    </item>
+</channel>
+</rss>`;
+
+const mockAtomWithEnclosure = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Video Eta</title>
+  <entry>
+    <title>Clip 1</title>
+    <updated>2025-04-02T10:00:00Z</updated>
+    <link rel="enclosure" href="https://eta.example.com/clip1.mp4" type="video/mp4" length="1048576" title="Clip 1 video"/>
+    <link href="https://eta.example.com/clip1"/>
+  </entry>
+</feed>`;
+
+describe('Enclosures and media', () => {
+    const podcastFeed = normalizeParsedFeed(parseXmlFeedWithCheerio(mockPodcastRssFeed), 'https://zeta.example.com/rss');
+    const videoFeed = normalizeParsedFeed(parseXmlFeedWithCheerio(mockAtomWithEnclosure), 'https://eta.example.com/atom');
+
+    it('should extract RSS enclosures, durations and iTunes images without duplicating media:content', () => {
+        expect(podcastFeed.items[0].attachments).toEqual([
+            { url: 'https://cdn.zeta.example.com/ep1.mp3', mimeType: 'audio/mpeg', length: 25165824, durationSeconds: 2710 }
+        ]);
+        expect(podcastFeed.items[0].image).toBe('https://cdn.zeta.example.com/ep1.jpg');
+    });
+
+    it('should extract Atom enclosure links without using them as the entry link', () => {
+        expect(videoFeed.items[0].link).toBe('https://eta.example.com/clip1');
+        expect(videoFeed.items[0].attachments).toEqual([
+            { url: 'https://eta.example.com/clip1.mp4', mimeType: 'video/mp4', length: 1048576, title: 'Clip 1 video' }
+        ]);
+    });
+
+    it('should map JSON Feed attachments and images', () => {
+        const feedData = normalizeFeedContent(JSON.stringify({
+            version: 'https://jsonfeed.org/version/1.1',
+            title: 'JSON Podcast',
+            items: [{ id: '1', title: 'Ep', image: 'https://j.example.com/ep.png', attachments: [{ url: 'https://j.example.com/ep.m4a', mime_type: 'audio/x-m4a', size_in_bytes: 1000, duration_in_seconds: 60 }] }]
+        }), 'https://j.example.com/feed.json');
+        expect(feedData.items[0].image).toBe('https://j.example.com/ep.png');
+        expect(feedData.items[0].attachments).toEqual([{ url: 'https://j.example.com/ep.m4a', mimeType: 'audio/x-m4a', length: 1000, durationSeconds: 60 }]);
+    });
+
+    it('should emit media in every output format', () => {
+        const rssXml = generateRssFeed(podcastFeed);
+        expect(rssXml).toContain('<enclosure url="https://cdn.zeta.example.com/ep1.mp3" length="25165824" type="audio/mpeg" />');
+
+        const atomXml = generateAtomFeed(videoFeed);
+        expect(atomXml).toContain('<link href="https://eta.example.com/clip1.mp4" rel="enclosure" type="video/mp4" length="1048576" title="Clip 1 video" />');
+
+        const jsonResult = generateJsonFeedObject(podcastFeed);
+        expect(jsonResult.items[0].image).toBe('https://cdn.zeta.example.com/ep1.jpg');
+        expect(jsonResult.items[0].attachments).toEqual([
+            { url: 'https://cdn.zeta.example.com/ep1.mp3', mime_type: 'audio/mpeg', size_in_bytes: 25165824, duration_in_seconds: 2710 }
+        ]);
+
+        expect(generateMarkdown(podcastFeed)).toContain('**Media:** [ep1\\.mp3]');
+        expect(generateMarkdown(podcastFeed)).toContain('(audio/mpeg, 24\\.0 MB, 45:10)');
+        expect(generateMarkdown(podcastFeed, false, false, true)).toContain(' Media: https://cdn.zeta.example.com/ep1.mp3, https://cdn.zeta.example.com/ep1.jpg');
+    });
+});
+
+const mockRssWithAuthors = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+    <title>Authored RSS</title>
+    <item>
+        <title>Authored Item</title>
+        <link>https://authored.example.com/1</link>
+        <author>jane@example.com (Jane Doe)</author>
+        <dc:creator>John Roe</dc:creator>
+        <category>Tech</category>
+        <category>AI</category>
+        <category>Tech</category>
+    </item>
+</channel>
+</rss>`;
+
+const mockAtomWithAuthors = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Authored Atom</title>
+  <author><name>Feed Author</name></author>
+  <entry>
+    <title>Own Author</title>
+    <updated>2025-04-02T10:00:00Z</updated>
+    <author><name>Entry Author</name><uri>https://entry.example.com</uri></author>
+    <category term="science" label="Science"/>
+  </entry>
+  <entry>
+    <title>Inherited Author</title>
+    <updated>2025-04-01T10:00:00Z</updated>
+  </entry>
+</feed>`;
+
+describe('Authors and categories', () => {
+    const rssFeed = normalizeParsedFeed(parseXmlFeedWithCheerio(mockRssWithAuthors), 'https://authored.example.com/rss');
+    const atomFeed = normalizeParsedFeed(parseXmlFeedWithCheerio(mockAtomWithAuthors), 'https://authored.example.com/atom');
+
+    it('should extract RSS author, dc:creator and de-duplicated categories', () => {
+        expect(rssFeed.items[0].authors).toEqual([{ name: 'Jane Doe', email: 'jane@example.com' }, { name: 'John Roe' }]);
+        expect(rssFeed.items[0].categories).toEqual(['Tech', 'AI']);
+    });
+
+    it('should extract Atom entry authors, inherit feed authors and read category terms', () => {
+        expect(atomFeed.items[0].authors).toEqual([{ name: 'Entry Author', url: 'https://entry.example.com' }]);
+        expect(atomFeed.items[0].categories).toEqual(['science']);
+        expect(atomFeed.items[1].authors).toEqual([{ name: 'Feed Author' }]);
+    });
+
+    it('should map JSON Feed authors (1.0 and 1.1) and tags', () => {
+        const feedData = normalizeFeedContent(JSON.stringify({
+            version: 'https://jsonfeed.org/version/1',
+            title: 'JSON Authors',
+            author: { name: 'Legacy Author', url: 'https://legacy.example.com' },
+            items: [{ id: '1', title: 'One', tags: ['a', 'b'] }, { id: '2', title: 'Two', authors: [{ name: 'Item Author' }] }]
+        }), 'https://j.example.com/feed.json');
+        expect(feedData.items[0].authors).toEqual([{ name: 'Legacy Author', url: 'https://legacy.example.com' }]);
+        expect(feedData.items[0].categories).toEqual(['a', 'b']);
+        expect(feedData.items[1].authors).toEqual([{ name: 'Item Author' }]);
+    });
+
+    it('should read author and category columns from sheets in manual mode', () => {
+        const feedData = buildFeedData({ Sheet1: [
+            ['Title', 'Author', 'Tags'],
+            ['Row 1', 'Alice, Bob', 'News; Tech']
+        ] }, 'manual', 'Sheet', 'SHEET_ID', mockRequestUrl);
+        expect(feedData.items[0].authors).toEqual([{ name: 'Alice' }, { name: 'Bob' }]);
+        expect(feedData.items[0].categories).toEqual(['News', 'Tech']);
+    });
+
+    it('should emit authors and categories in every output format', () => {
+        const rssXml = generateRssFeed(rssFeed);
+        expect(rssXml).toContain('<author>jane@example.com (Jane Doe)</author>');
+        expect(rssXml).toContain('<dc:creator>John Roe</dc:creator>');
+        expect(rssXml).toContain('<category>AI</category>');
+
+        const atomXml = generateAtomFeed(atomFeed);
+        expect(atomXml).toContain('<author><name>Entry Author</name><uri>https://entry.example.com</uri></author>');
+        expect(atomXml).toContain('<category term="science" />');
+
+        const jsonItem = generateJsonFeedObject(rssFeed).items[0];
+        expect(jsonItem.authors).toEqual([{ name: 'Jane Doe' }, { name: 'John Roe' }]);
+        expect(jsonItem.tags).toEqual(['Tech', 'AI']);
+
+        expect(generateMarkdown(rssFeed)).toContain('**Author:** Jane Doe, John Roe');
+        expect(generateMarkdown(rssFeed)).toContain('**Categories:** Tech, AI');
+        expect(generateMarkdown(rssFeed, false, false, true)).toBe('# Authored Item Link: https://authored.example.com/1 Author: Jane Doe, John Roe Tags: Tech, AI');
+        const groupedFeed = { ...rssFeed, metadata: { ...rssFeed.metadata, groupByFeed: true } };
+        expect(generateMarkdown(groupedFeed, true, true, true)).toBe('# Authored RSS ## Authored Item Link: https://authored.example.com/1 Author: Jane Doe, John Roe Tags: Tech, AI');
+    });
+});
+
+describe('Cross-source deduplication', () => {
+    const wireRss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Wire</title><link>https://wire.example.com</link>
+        <item><title>Central bank raises interest rates</title><link>https://wire.example.com/rates?utm_source=rss</link><guid>rates-1</guid><pubDate>Tue, 01 Apr 2025 08:00:00 GMT</pubDate><description>Short.</description></item>
+        <item><title>Local team wins the cup final</title><link>https://wire.example.com/cup</link><pubDate>Tue, 01 Apr 2025 09:00:00 GMT</pubDate></item>
+    </channel></rss>`;
+    const dailyRss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Daily</title><link>https://daily.example.com</link>
+        <item><title>Central Bank Raises Interest Rates!</title><link>https://www.wire.example.com/rates/#top</link><pubDate>Tue, 01 Apr 2025 10:00:00 GMT</pubDate><description>A longer rewrite of the story.</description></item>
+        <item><title>Weather warning issued for the coast</title><link>https://daily.example.com/weather</link><pubDate>Tue, 01 Apr 2025 11:00:00 GMT</pubDate></item>
+    </channel></rss>`;
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn((url) => {
+            if (url === 'https://wire.example.com/rss.xml') return Promise.resolve({ ok: true, status: 200, text: async () => wireRss });
+            if (url === 'https://daily.example.com/rss.xml') return Promise.resolve({ ok: true, status: 200, text: async () => dailyRss });
+            return Promise.resolve({ ok: false, status: 404 });
+        });
+    });
+    afterEach(() => { global.fetch = originalFetch; });
+
+    const sourceUrls = ['https://wire.example.com/rss.xml', 'https://daily.example.com/rss.xml'];
+
+    it('should keep duplicates unless dedupe is enabled', async () => {
+        const feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 10, 500, false);
+        expect(feedData.items).toHaveLength(4);
+    });
+
+    it('should collapse items with matching links or titles and keep the earliest copy', async () => {
+        const feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 10, 500, false, null, { dedupe: true });
+        expect(feedData.items.map(item => item.title)).toEqual([
+            'Weather warning issued for the coast', 'Local team wins the cup final', 'Central bank raises interest rates'
+        ]);
+        expect(feedData.items[2].alsoIn).toEqual([
+            { title: 'Daily', url: 'https://daily.example.com/rss.xml', link: 'https://www.wire.example.com/rates/#top' }
+        ]);
+        expect(feedData.items[0].alsoIn).toBeUndefined();
+        expect(feedData.metadata.sources.map(source => source.itemCount)).toEqual([2, 1]);
+    });
+
+    it('should match on ids within a source and prefer the longer description when dates tie', () => {
+        const date = new Date('2025-04-01T08:00:00Z');
+        const items = dedupeItems([
+            { id: 'same', title: 'A', link: 'https://a.example.com/1', dateObject: date, descriptionContent: 'short', sourceInfo: { title: 'A', url: 'https://a.example.com/feed' } },
+            { id: 'same', title: 'B', link: 'https://a.example.com/2', dateObject: date, descriptionContent: 'much longer text', sourceInfo: { title: 'A', url: 'https://a.example.com/feed' } },
+            { id: 'other', title: 'Update', link: 'https://c.example.com/3', dateObject: date, descriptionContent: '', sourceInfo: { title: 'C', url: 'https://c.example.com/feed' } },
+            { id: 'another', title: 'Update', link: 'https://d.example.com/4', dateObject: date, descriptionContent: '', sourceInfo: { title: 'D', url: 'https://d.example.com/feed' } }
+        ]);
+        expect(items).toHaveLength(3);
+        expect(items[0].title).toBe('B');
+        expect(items[0].alsoIn).toBeUndefined();
+    });
+
+    it('should not merge unrelated stories that reuse feed-local ids across sources', () => {
+        const date = new Date('2025-04-01T08:00:00Z');
+        const source = (host) => ({ title: host, url: `https://${host}/feed` });
+        const items = dedupeItems(['0', '1'].flatMap(id => [
+            { id, title: `Story ${id} from site A only`, link: `https://a.example.com/story-${id}`, dateObject: date, sourceInfo: source('a.example.com') },
+            { id, title: `Different story ${id} on site B`, link: `https://b.example.com/post-${id}`, dateObject: date, sourceInfo: source('b.example.com') }
+        ]));
+        expect(items).toHaveLength(4);
+        items.forEach(item => expect(item.alsoIn).toBeUndefined());
+    });
+
+    it('should list the other sources in JSON and Markdown output', async () => {
+        const feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 10, 500, false, null, { dedupe: true });
+        const jsonItem = generateJsonFeedObject(feedData, false, true).items[2];
+        expect(jsonItem._crssnt_also_in).toEqual([
+            { title: 'Daily', url: 'https://daily.example.com/rss.xml', item_url: 'https://www.wire.example.com/rates/#top' }
+        ]);
+        expect(generateJsonFeedObject(feedData, false, true, true).items[2]._crssnt_also_in).toEqual([{ title: 'Daily' }]);
+        expect(generateMarkdown(feedData, false, true)).toContain('*Also in: [Daily](https://www\\.wire\\.example\\.com/rates/\\#top)*');
+        expect(generateMarkdown(feedData, false, true, true)).toContain('Also in: Daily');
+    });
+});
+
+describe('OPML source lists', () => {
+    const mockOpml = `<?xml version="1.0" encoding="UTF-8"?>
+    <opml version="2.0">
+        <head><title>Reading list</title></head>
+        <body>
+            <outline text="News">
+                <outline text="Wire" type="rss" xmlUrl="https://opml-wire.example.com/rss.xml" htmlUrl="https://opml-wire.example.com" />
+                <outline text="Daily" type="rss" xmlUrl="https://opml-daily.example.com/rss.xml" category="/World/Europe" />
+            </outline>
+            <outline text="Tech" type="rss" xmlUrl="https://opml-tech.example.com/rss.xml" category="Tech" />
+            <outline text="Wire again" type="rss" xmlUrl="https://opml-wire.example.com/rss.xml" category="Breaking" />
+        </body>
+    </opml>`;
+
+    it('should read xmlUrl outlines with titles and folder/attribute categories, merging duplicates', () => {
+        expect(parseOpml(mockOpml)).toEqual([
+            { url: 'https://opml-wire.example.com/rss.xml', title: 'Wire', htmlUrl: 'https://opml-wire.example.com', categories: ['News', 'Breaking'] },
+            { url: 'https://opml-daily.example.com/rss.xml', title: 'Daily', htmlUrl: undefined, categories: ['News', 'Europe'] },
+            { url: 'https://opml-tech.example.com/rss.xml', title: 'Tech', htmlUrl: undefined, categories: ['Tech'] }
+        ]);
+    });
+
+    it('should reject documents that are not OPML', () => {
+        expect(() => parseOpml('<rss version="2.0"><channel></channel></rss>')).toThrow('Invalid OPML document');
+    });
+
+    it('should merge categories into a duplicate xmlUrl whose first outline has none', () => {
+        const opml = `<opml version="2.0"><body>
+            <outline text="Plain" type="rss" xmlUrl="https://opml-plain.example.com/rss.xml" />
+            <outline text="Plain again" type="rss" xmlUrl="https://opml-plain.example.com/rss.xml" category="Later" />
+        </body></opml>`;
+        expect(parseOpml(opml)).toEqual([
+            { url: 'https://opml-plain.example.com/rss.xml', title: 'Plain', htmlUrl: undefined, categories: ['Later'] }
+        ]);
+    });
+
+    describe('categories in combined feeds', () => {
+        const makeRss = (title, itemTitle, date) => `<?xml version="1.0"?><rss version="2.0"><channel><title>${title}</title>
+            <item><title>${itemTitle}</title><link>https://example.com/${encodeURIComponent(itemTitle)}</link><pubDate>${date}</pubDate><category>Original</category></item>
+        </channel></rss>`;
+        const sourceUrls = ['https://opml-wire.example.com/rss.xml', 'https://opml-tech.example.com/rss.xml', 'https://opml-daily.example.com/rss.xml'];
+        const sourceCategories = {
+            'https://opml-wire.example.com/rss.xml': ['News'],
+            'https://opml-tech.example.com/rss.xml': ['Tech'],
+            'https://opml-daily.example.com/rss.xml': ['News', 'Europe']
+        };
+        let originalFetch;
+
+        beforeEach(() => {
+            originalFetch = global.fetch;
+            global.fetch = jest.fn((url) => {
+                const feeds = {
+                    'https://opml-wire.example.com/rss.xml': makeRss('Wire', 'Wire story', 'Tue, 01 Apr 2025 08:00:00 GMT'),
+                    'https://opml-tech.example.com/rss.xml': makeRss('Tech', 'Tech story', 'Tue, 01 Apr 2025 09:00:00 GMT'),
+                    'https://opml-daily.example.com/rss.xml': makeRss('Daily', 'Daily story', 'Tue, 01 Apr 2025 10:00:00 GMT')
+                };
+                return Promise.resolve(feeds[url] ? { ok: true, status: 200, text: async () => feeds[url] } : { ok: false, status: 404 });
+            });
+        });
+        afterEach(() => { global.fetch = originalFetch; });
+
+        it('should add source categories to every item from that source', async () => {
+            const feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 10, 500, false, null, { sourceCategories });
+            expect(feedData.items.map(item => item.title)).toEqual(['Daily story', 'Tech story', 'Wire story']);
+            expect(feedData.items[0].categories).toEqual(['Original', 'News', 'Europe']);
+            expect(feedData.items[0].sourceInfo.category).toBe('News');
+            expect(feedData.metadata.groupBy).toBeNull();
+        });
+
+        it('should add source categories before filtering so category filters can match them', async () => {
+            const itemFilter = createItemFilter('Europe', undefined, 'category');
+            const feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 10, 500, false, null, { sourceCategories, itemFilter });
+            expect(feedData.items.map(item => item.title)).toEqual(['Daily story']);
+        });
+
+        it('should group items by source category, newest category first', async () => {
+            const feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 10, 500, false, null, { sourceCategories, groupBy: 'category' });
+            expect(feedData.items.map(item => item.title)).toEqual(['Daily story', 'Wire story', 'Tech story']);
+            expect(feedData.metadata.groupBy).toBe('category');
+
+            const md = generateMarkdown(feedData, false, true);
+            expect(md.indexOf('## News')).toBeGreaterThan(-1);
+            expect(md.indexOf('## Tech')).toBeGreaterThan(md.indexOf('### Wire story'));
+            expect(generateMarkdown(feedData, false, true, true)).toMatch(/^# News ## Daily story .* --- ## Wire story .* \|\|\| # Tech ## Tech story/);
+            expect(generateJsonFeedObject(feedData, false, true).items[0]._source_feed).toEqual({ title: 'Daily', url: 'https://opml-daily.example.com/rss.xml', category: 'News' });
+        });
+    });
+});
+
+describe('OPML export', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn((url) => {
+            if (url === 'https://export-alpha.example.com/rss.xml') return Promise.resolve({ ok: true, status: 200, text: async () => mockRssXmlFeed1 });
+            if (url === 'https://export-beta.example.com/atom.xml') return Promise.resolve({ ok: true, status: 200, text: async () => mockAtomXmlFeed2 });
+            return Promise.resolve({ ok: false, status: 404 });
+        });
+    });
+    afterEach(() => { global.fetch = originalFetch; });
+
+    it('should collect title, site link and feed URL for every source', async () => {
+        const { feeds, sources } = await collectSourceFeedInfo([
+            'https://export-alpha.example.com/rss.xml', 'https://export-beta.example.com/atom.xml', 'https://export-missing.example.com/rss.xml'
+        ]);
+        expect(feeds[0]).toMatchObject({ xmlUrl: 'https://export-alpha.example.com/rss.xml', title: 'RSS Feed Alpha', htmlUrl: 'https://alpha.example.com', status: 'ok' });
+        expect(feeds[1]).toMatchObject({ xmlUrl: 'https://export-beta.example.com/atom.xml', title: 'Atom Feed Beta', status: 'ok' });
+        expect(feeds[2]).toMatchObject({ xmlUrl: 'https://export-missing.example.com/rss.xml', title: undefined, status: 'error' });
+        expect(sources.map(source => source.status)).toEqual(['ok', 'ok', 'error']);
+    });
+
+    it('should fail with per-source details when no source loads', async () => {
+        await expect(collectSourceFeedInfo(['https://export-missing.example.com/rss.xml'])).rejects.toMatchObject({
+            sources: [expect.objectContaining({ errorCategory: 'http_error', httpStatus: 404 })]
+        });
+    });
+
+    it('should generate an OPML 2.0 document that parseOpml can read back', () => {
+        const opml = generateOpml([
+            { xmlUrl: 'https://a.example.com/rss.xml', title: 'A & B', htmlUrl: 'https://a.example.com', description: '<p>About A</p>', categories: ['News'] },
+            { xmlUrl: 'https://c.example.com/feed' }
+        ], { title: 'My sources', dateCreated: new Date('2025-04-01T08:00:00Z') });
+        expect(opml).toContain('<opml version="2.0">');
+        expect(opml).toContain('<title>My sources</title>');
+        expect(opml).toContain('<dateCreated>Tue, 01 Apr 2025 08:00:00 GMT</dateCreated>');
+        expect(opml).toContain('<outline type="rss" text="A &amp; B" title="A &amp; B" xmlUrl="https://a.example.com/rss.xml" htmlUrl="https://a.example.com" description="About A" category="News" />');
+        expect(parseOpml(opml)).toEqual([
+            { url: 'https://a.example.com/rss.xml', title: 'A & B', htmlUrl: 'https://a.example.com', categories: ['News'] },
+            { url: 'https://c.example.com/feed', title: 'https://c.example.com/feed', htmlUrl: undefined, categories: undefined }
+        ]);
+        expect(parseOpml('<opml version="2.0"><body><outline xmlUrl="https://d.example.com/rss" /><outline xmlUrl="https://d.example.com/rss" /></body></opml>'))
+            .toEqual([{ url: 'https://d.example.com/rss', title: undefined, htmlUrl: undefined, categories: undefined }]);
+    });
+});
+
+describe('Full-text extraction', () => {
+    const paragraph = '<p>' + 'The council approved the new budget on Tuesday, after a long debate, with several amendments. '.repeat(3) + '</p>';
+    const articlePage = (title) => `<!DOCTYPE html><html><head><title>${title}</title><script>track()</script></head><body>
+        <header><nav><a href="/">Home</a> <a href="/news">News</a></nav></header>
+        <div class="sidebar"><p>${'Popular stories, trending now, read more. '.repeat(4)}</p></div>
+        <div class="story-body" style="color:red">${paragraph}${paragraph}<p>Read the <a href="/report.pdf" onclick="x()">full report</a>.</p></div>
+        <footer><p>Copyright notice, all rights reserved, terms apply to everything here.</p></footer>
+    </body></html>`;
+    const teaserRss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Teasers</title>
+        <item><title>Budget approved</title><link>https://teaser-news.example.com/budget</link><pubDate>Tue, 01 Apr 2025 10:00:00 GMT</pubDate><description>Council passes budget.</description></item>
+        <item><title>Broken page</title><link>https://teaser-news.example.com/broken</link><pubDate>Tue, 01 Apr 2025 09:00:00 GMT</pubDate><description>Teaser.</description></item>
+        <item><title>Older story</title><link>https://teaser-news.example.com/older</link><pubDate>Tue, 01 Apr 2025 08:00:00 GMT</pubDate><description>Older teaser.</description></item>
+    </channel></rss>`;
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn((url) => {
+            if (url === 'https://teaser-news.example.com/rss.xml') return Promise.resolve({ ok: true, status: 200, text: async () => teaserRss });
+            if (url === 'https://teaser-news.example.com/budget' || url === 'https://teaser-news.example.com/older') {
+                return Promise.resolve({ ok: true, status: 200, text: async () => articlePage(url) });
+            }
+            return Promise.resolve({ ok: false, status: 500 });
+        });
+    });
+    afterEach(() => { global.fetch = originalFetch; });
+
+    it('should pick the main content block, drop boilerplate and absolutize links', () => {
+        const content = extractArticleContent(articlePage('Budget'), 'https://teaser-news.example.com/budget');
+        expect(content).toContain('The council approved the new budget');
+        expect(content).toContain('<a href="https://teaser-news.example.com/report.pdf">full report</a>');
+        expect(content).not.toMatch(/Popular stories|Copyright|Home|track\(\)|style=|onclick=/);
+    });
+
+    it('should return null when a page has no substantial text', () => {
+        expect(extractArticleContent('<html><body><p>Just a short note.</p></body></html>', 'https://teaser-news.example.com/x')).toBeNull();
+    });
+
+    it('should replace teasers within the fetch budget and report enriched items in metadata', async () => {
+        const feedData = await processMultipleUrls(['https://teaser-news.example.com/rss.xml'], mockRequestUrl, 10, 2000, false, null, {
+            fullText: true, fullTextOptions: { budget: 2 }
+        });
+        expect(feedData.items[0].descriptionContent).toContain('The council approved the new budget');
+        expect(feedData.items[0].fullTextExtracted).toBe(true);
+        expect(feedData.items[1].descriptionContent).toBe('Teaser.');
+        expect(feedData.items[2].descriptionContent).toBe('Older teaser.');
+        expect(feedData.metadata.fullText).toEqual({
+            attempted: 2, enriched: 1, failed: 1, skipped: 1, enrichedItems: ['https://teaser-news.example.com/budget']
+        });
+        expect(global.fetch).not.toHaveBeenCalledWith('https://teaser-news.example.com/older', expect.anything());
+
+        expect(generateJsonFeedObject(feedData)._crssnt_full_text).toMatchObject({ enriched: 1, enriched_items: ['https://teaser-news.example.com/budget'] });
+        expect(generateJsonFeedObject(feedData).items[0]._crssnt_full_text).toBe(true);
+        expect(generateMarkdown(feedData)).toContain('**Full text:** extracted for 1 of 2 fetched articles (1 failed, 1 not fetched due to the per-request limit).');
+    });
+
+    it('should apply the description limit to extracted articles without leaving tags open', async () => {
+        const feedData = await processMultipleUrls(['https://teaser-news.example.com/rss.xml'], mockRequestUrl, 1, 100, false, null, { fullText: true });
+        expect(feedData.items[0].descriptionContent).toBe('<p>The council approved the new budget on Tuesday, after a long debate, with several amendments. The...</p>');
+        expect(feedData.metadata.itemCharLimited).toBe(true);
+    });
+
+    it('should only extract full text for the requested page', async () => {
+        const feedData = await processMultipleUrls(['https://teaser-news.example.com/rss.xml'], mockRequestUrl, 10, 2000, false, null, {
+            fullText: true, fullTextOptions: { budget: 1 }, pagination: { pageSize: 1, cursor: { o: 2 } }
+        });
+        expect(feedData.items.map(item => item.title)).toEqual(['Older story']);
+        expect(feedData.items[0].fullTextExtracted).toBe(true);
+        expect(feedData.metadata.fullText).toMatchObject({ attempted: 1, enriched: 1, skipped: 0 });
+        expect(feedData.metadata.pagination).toMatchObject({ offset: 2, totalItems: 3 });
+        expect(global.fetch).not.toHaveBeenCalledWith('https://teaser-news.example.com/budget', expect.anything());
+    });
+
+    it('should truncate HTML on text boundaries and close every open element', () => {
+        const html = '<p>First <b>bold words here</b> and more</p><p>Second paragraph</p>';
+        expect(truncateHtml(html, 12)).toBe('<p>First <b>bold...</b></p>');
+        expect(truncateHtml(html, 500)).toBe(html);
+    });
+});
+
+describe('Include/exclude item filters', () => {
+    const item = (title, extra = {}) => ({ title, descriptionContent: '', ...extra });
+
+    it('should return null when no filter is requested', () => {
+        expect(createItemFilter(undefined, [], undefined)).toBeNull();
+    });
+
+    it('should match keywords as whole words, quoted phrases and regexes case-insensitively', () => {
+        const filter = createItemFilter(['AI,"climate change"', '/^breaking:/i'], undefined, undefined);
+        expect(filter(item('New AI model released'))).toBe(true);
+        expect(filter(item('He said hello'))).toBe(false);
+        expect(filter(item('Climate  Change summit'))).toBe(true);
+        expect(filter(item('BREAKING: storm'))).toBe(true);
+        expect(filter(item('Sports', { descriptionContent: '<p>An <b>AI</b> referee</p>' }))).toBe(true);
+    });
+
+    it('should drop excluded items and honor match_field', () => {
+        const filter = createItemFilter('rust', 'sponsored', 'category|author');
+        expect(filter(item('Rust 2.0', { categories: ['Go'] }))).toBe(false);
+        expect(filter(item('Release', { categories: ['Rust'] }))).toBe(true);
+        expect(filter(item('Release', { categories: ['Rust', 'Sponsored'] }))).toBe(false);
+        expect(filter(item('Release', { authors: [{ name: 'Rust Team' }] }))).toBe(true);
+    });
+
+    it('should reject invalid regexes and unknown fields with a 400 error', () => {
+        expect(() => createItemFilter('/(unclosed/')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => createItemFilter('x', undefined, 'body')).toThrow('Invalid match_field "body"');
+    });
+
+    it('should run regexes in linear time and reject backreferences', () => {
+        const filter = createItemFilter('/(a+)+$/');
+        expect(filter(item('a'.repeat(50000) + '!'))).toBe(false);
+        expect(() => createItemFilter('/(a)\\1/')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should filter feed items before the per-source item limit', () => {
+        const filter = createItemFilter(undefined, 'newest');
+        const feedData = normalizeFeedContent(mockRssXmlFeed1, 'https://alpha.example.com/rss.xml', 1, 500, filter);
+        expect(feedData.items.map(i => i.title)).toEqual(['Alpha Item 2 (Newer)']);
+    });
+
+    it('should filter sheet rows before the item limit', () => {
+        const feedData = buildFeedData({ Sheet1: [
+            ['Title', 'Description'],
+            ['Launch update', 'Product news'],
+            ['Hiring', 'Jobs'],
+            ['Launch recap', 'More product news']
+        ] }, 'manual', 'Sheet', 'SHEET_ID', mockRequestUrl, 1, 500, false, null, createItemFilter('product'));
+        expect(feedData.items).toHaveLength(1);
+        expect(feedData.items[0].title).toMatch(/^Launch/);
+    });
+});
+
+describe('Time windows (since/until)', () => {
+    // "now" is the mocked 2025-04-03T10:30:00Z
+    it('should parse relative durations, day keywords and absolute dates', () => {
+        expect(parseTimeWindow('24h').since.toISOString()).toBe('2025-04-02T10:30:00.000Z');
+        expect(parseTimeWindow('7d').since.toISOString()).toBe('2025-03-27T10:30:00.000Z');
+        expect(parseTimeWindow('30m').since.toISOString()).toBe('2025-04-03T10:00:00.000Z');
+        expect(parseTimeWindow('today').since.toISOString()).toBe('2025-04-03T00:00:00.000Z');
+        expect(parseTimeWindow('yesterday', 'today')).toEqual({
+            since: new Date('2025-04-02T00:00:00Z'), until: new Date('2025-04-03T00:00:00Z'), includeUndated: false
+        });
+        expect(parseTimeWindow(undefined, '2025-04-01T00:00:00Z', 'true')).toEqual({
+            since: null, until: new Date('2025-04-01T00:00:00Z'), includeUndated: true
+        });
+        expect(parseTimeWindow(undefined, undefined, 'true')).toBeNull();
+    });
+
+    it('should reject invalid values and empty windows with a 400 error', () => {
+        expect(() => parseTimeWindow('last week')).toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('Invalid since value "last week"') }));
+        expect(() => parseTimeWindow(undefined, '5x')).toThrow('Invalid until value "5x"');
+        expect(() => parseTimeWindow('today', 'yesterday')).toThrow('since must be earlier than until');
+    });
+
+    it('should apply until before the item limit and optionally keep undated sheet rows', () => {
+        const window = parseTimeWindow(undefined, '2025-04-02T12:00:00Z', 'true');
+        const feedData = buildFeedData(mockMultiSheetAutoData, 'auto', mockSheetTitle, mockSheetID, mockRequestUrl, 50, 500, false, window);
+        const dated = feedData.items.filter(item => item.dateObject);
+        expect(dated.length).toBeGreaterThan(0);
+        dated.forEach(item => expect(item.dateObject.getTime()).toBeLessThanOrEqual(window.until.getTime()));
+        expect(feedData.items.some(item => !item.dateObject)).toBe(true);
+
+        const withoutUndated = buildFeedData(mockMultiSheetAutoData, 'auto', mockSheetTitle, mockSheetID, mockRequestUrl, 50, 500, false, { ...window, includeUndated: false });
+        expect(withoutUndated.items.every(item => item.dateObject)).toBe(true);
+    });
+
+    describe('with URL feeds', () => {
+        let originalFetch;
+        beforeEach(() => {
+            originalFetch = global.fetch;
+            global.fetch = jest.fn((url) => url === 'https://window-alpha.example.com/rss.xml'
+                ? Promise.resolve({ ok: true, status: 200, text: async () => mockRssXmlFeed1 }) // Apr 6, Apr 5, Apr 3
+                : Promise.resolve({ ok: false, status: 404 }));
+        });
+        afterEach(() => { global.fetch = originalFetch; });
+
+        it('should return the newest items inside the window, not the newest items overall', async () => {
+            const window = parseTimeWindow(undefined, '2025-04-05T12:00:00Z');
+            const feedData = await processMultipleUrls(['https://window-alpha.example.com/rss.xml'], mockRequestUrl, 1, 500, false, window);
+            expect(feedData.items.map(item => item.title)).toEqual(['Alpha Item 2 (Newer)']);
+        });
+
+        it('should return an empty feed instead of failing when nothing falls inside the window', async () => {
+            const window = parseTimeWindow('2025-04-10T00:00:00Z');
+            const feedData = await processMultipleUrls(['https://window-alpha.example.com/rss.xml'], mockRequestUrl, 10, 500, false, window);
+            expect(feedData.items).toEqual([]);
+            expect(feedData.metadata.sources[0]).toMatchObject({ status: 'ok', itemCount: 0 });
+        });
+    });
+});
+
+describe('Cursor pagination', () => {
+    const pageRequestUrl = 'https://crssnt.com/v1/sheet/json?id=PAGED&page_size=2';
+    const makeItems = (count, offset = 0) => Array.from({ length: count }, (_, i) => ({
+        title: `Row ${i + offset}`,
+        link: `https://paged.example.com/${i + offset}`,
+        dateObject: new Date(Date.UTC(2025, 3, 1, 12) - (i + offset) * 3600 * 1000),
+        descriptionContent: ''
+    }));
+    const makeFeed = (items) => ({ metadata: { title: 'Paged', feedUrl: pageRequestUrl, link: 'https://paged.example.com' }, items });
+    const cursorFrom = (url) => parsePaginationParams('2', new URL(url).searchParams.get('cursor')).cursor;
+
+    it('should validate page_size and cursor', () => {
+        expect(parsePaginationParams(undefined, undefined)).toBeNull();
+        expect(parsePaginationParams('10', undefined)).toEqual({ pageSize: 10, cursor: null });
+        expect(() => parsePaginationParams('0')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => parsePaginationParams('1000')).toThrow('Invalid page_size "1000"');
+        expect(() => parsePaginationParams('5', 'not-a-cursor')).toThrow('Invalid cursor');
+    });
+
+    it('should walk through all items page by page', () => {
+        const items = makeItems(5);
+        const first = paginateFeedData(makeFeed(items), 2);
+        expect(first.items.map(item => item.title)).toEqual(['Row 0', 'Row 1']);
+        expect(first.metadata.pagination).toMatchObject({ pageSize: 2, totalItems: 5, hasMore: true, firstUrl: pageRequestUrl });
+
+        const second = paginateFeedData(makeFeed(items), 2, cursorFrom(first.metadata.pagination.nextUrl));
+        expect(second.items.map(item => item.title)).toEqual(['Row 2', 'Row 3']);
+        const third = paginateFeedData(makeFeed(items), 2, cursorFrom(second.metadata.pagination.nextUrl));
+        expect(third.items.map(item => item.title)).toEqual(['Row 4']);
+        expect(third.metadata.pagination.hasMore).toBe(false);
+        expect(third.metadata.pagination.nextUrl).toBeUndefined();
+    });
+
+    it('should continue after the last seen item when newer items arrive', () => {
+        const first = paginateFeedData(makeFeed(makeItems(5)), 2);
+        const withNewItem = [...makeItems(1, -1), ...makeItems(5)];
+        const second = paginateFeedData(makeFeed(withNewItem), 2, cursorFrom(first.metadata.pagination.nextUrl));
+        expect(second.items.map(item => item.title)).toEqual(['Row 2', 'Row 3']);
+    });
+
+    it('should keep moving forward when items share a page key', () => {
+        // Like undated sheet rows with the same title and no link
+        const feedData = makeFeed(['a', 'b', 'c', 'd'].map(descriptionContent => ({ title: 'Same', descriptionContent })));
+        const seen = [];
+        let cursor = null;
+        for (let page = 0; page < 4; page++) {
+            const result = paginateFeedData(feedData, 1, cursor);
+            seen.push(...result.items.map(item => item.descriptionContent));
+            cursor = result.metadata.pagination.nextUrl ? parsePaginationParams('1', new URL(result.metadata.pagination.nextUrl).searchParams.get('cursor')).cursor : null;
+        }
+        expect(seen).toEqual(['a', 'b', 'c', 'd']);
+        expect(cursor).toBeNull();
+    });
+
+    it('should expose next links in JSON, Markdown, Atom and RSS', () => {
+        const page = paginateFeedData(makeFeed(makeItems(3)), 2);
+        const nextUrl = page.metadata.pagination.nextUrl;
+        expect(nextUrl).toMatch(/^https:\/\/crssnt\.com\/v1\/sheet\/json\?id=PAGED&page_size=2&cursor=/);
+        expect(generateJsonFeedObject(page).next_url).toBe(nextUrl);
+        expect(generateJsonFeedObject(page, false, false, true).next_url).toBe(nextUrl);
+        expect(generateMarkdown(page)).toContain('[Next page](');
+        expect(generateMarkdown(page, false, false, true)).toContain(` ||| Next page: ${nextUrl}`);
+        expect(generateAtomFeed(page)).toContain(`<link href="${escapeXmlMinimal(nextUrl)}" rel="next"/>`);
+        expect(generateAtomFeed(page)).toContain(`<link href="${escapeXmlMinimal(pageRequestUrl)}" rel="first"/>`);
+        expect(generateRssFeed(page)).toContain(`<atom:link href="${escapeXmlMinimal(nextUrl)}" rel="next"/>`);
+
+        const unpaged = makeFeed(makeItems(3));
+        expect(generateJsonFeedObject(unpaged).next_url).toBeUndefined();
+        expect(generateAtomFeed(unpaged)).not.toContain('rel="next"');
+    });
+});
+
+describe('Sort order', () => {
+    const curatedSheet = { Curated: [
+        ['Title', 'Date'],
+        ['Zeta pick', '2025-04-01T10:00:00Z'],
+        ['Alpha pick', '2025-03-01T10:00:00Z'],
+        ['Undated pick', ''],
+        ['Middle pick', '2025-04-02T10:00:00Z']
+    ] };
+    const titlesOf = (feedData) => feedData.items.map(item => item.title);
+
+    it('should validate the sort parameter', () => {
+        expect(parseSortOrder(undefined)).toBe('date_desc');
+        expect(parseSortOrder('TITLE')).toBe('title');
+        expect(() => parseSortOrder('random')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should sort sheet rows and apply the limit in the requested order', () => {
+        const build = (sortOrder, limit = 50) => buildFeedData(curatedSheet, 'manual', 'Sheet', 'SHEET_ID', mockRequestUrl, limit, 500, false, null, null, sortOrder);
+        expect(titlesOf(build('date_desc'))).toEqual(['Middle pick', 'Zeta pick', 'Alpha pick', 'Undated pick']);
+        expect(titlesOf(build('date_asc'))).toEqual(['Alpha pick', 'Zeta pick', 'Middle pick', 'Undated pick']);
+        expect(titlesOf(build('title'))).toEqual(['Alpha pick', 'Middle pick', 'Undated pick', 'Zeta pick']);
+        expect(titlesOf(build('original', 2))).toEqual(['Zeta pick', 'Alpha pick']);
+        expect(build('original').metadata.lastBuildDate.toISOString()).toBe('2025-04-02T10:00:00.000Z');
+    });
+
+    describe('with URL feeds', () => {
+        const sourceUrls = ['https://sort-alpha.example.com/rss.xml', 'https://sort-beta.example.com/atom.xml'];
+        let originalFetch;
+        beforeEach(() => {
+            originalFetch = global.fetch;
+            global.fetch = jest.fn((url) => {
+                if (url === sourceUrls[0]) return Promise.resolve({ ok: true, status: 200, text: async () => mockRssXmlFeed1 }); // Apr 6, Apr 5, Apr 3
+                if (url === sourceUrls[1]) return Promise.resolve({ ok: true, status: 200, text: async () => mockAtomXmlFeed2 }); // Apr 7, Apr 4
+                return Promise.resolve({ ok: false, status: 404 });
+            });
+        });
+        afterEach(() => { global.fetch = originalFetch; });
+
+        it('should sort combined items by source title or keep source order for original', async () => {
+            const bySource = await processMultipleUrls(sourceUrls, mockRequestUrl, 10, 500, false, null, { sortOrder: 'source' });
+            expect(titlesOf(bySource)).toEqual(['Beta Item 1 (Newest)', 'Beta Item 2 (Older)', 'Alpha Item 3 (Newest)', 'Alpha Item 2 (Newer)', 'Alpha Item 1 (Older)']);
+            const original = await processMultipleUrls(sourceUrls, mockRequestUrl, 10, 500, false, null, { sortOrder: 'original' });
+            expect(titlesOf(original)).toEqual(['Alpha Item 3 (Newest)', 'Alpha Item 2 (Newer)', 'Alpha Item 1 (Older)', 'Beta Item 1 (Newest)', 'Beta Item 2 (Older)']);
+            expect(original.metadata.lastBuildDate.toISOString()).toBe('2025-04-07T12:00:00.000Z');
+        });
+
+        it('should sort within groups when grouping by feed', async () => {
+            const feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 10, 500, true, null, { sortOrder: 'date_asc' });
+            expect(titlesOf(feedData)).toEqual(['Alpha Item 1 (Older)', 'Alpha Item 2 (Newer)', 'Alpha Item 3 (Newest)', 'Beta Item 2 (Older)', 'Beta Item 1 (Newest)']);
+        });
+    });
+});
+
+describe('Sitemaps', () => {
+    const newsSitemap = `<?xml version="1.0" encoding="UTF-8"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+        <url>
+            <loc>https://www.daily.example.com/world/2025/04/02/summit-ends</loc>
+            <news:news>
+                <news:publication><news:name>The Daily</news:name><news:language>de</news:language></news:publication>
+                <news:publication_date>2025-04-02T18:00:00Z</news:publication_date>
+                <news:title>Summit ends without agreement</news:title>
+                <news:keywords>Politics, Summit</news:keywords>
+            </news:news>
+            <image:image><image:loc>https://www.daily.example.com/img/summit.jpg</image:loc></image:image>
+        </url>
+        <url>
+            <loc>https://www.daily.example.com/local/city-council-approves-budget.html</loc>
+            <lastmod>2025-04-01</lastmod>
+        </url>
+    </urlset>`;
+    const plainSitemap = (prefix, date) => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <url><loc>https://shop.example.com/${prefix}/spring-sale</loc><lastmod>${date}</lastmod></url>
+    </urlset>`;
+    const sitemapIndex = `<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <sitemap><loc>https://shop.example.com/sitemap-old.xml</loc><lastmod>2024-01-01</lastmod></sitemap>
+        <sitemap><loc>https://shop.example.com/sitemap-new.xml</loc><lastmod>2025-04-02</lastmod></sitemap>
+        <sitemap><loc>https://shop.example.com/sitemap-broken.xml</loc><lastmod>2025-04-01</lastmod></sitemap>
+        <sitemap><loc>https://shop.example.com/sitemap-oldest.xml</loc><lastmod>2023-01-01</lastmod></sitemap>
+    </sitemapindex>`;
+
+    it('should turn news sitemap entries into items', () => {
+        const feedData = normalizeFeedContent(newsSitemap, 'https://www.daily.example.com/news-sitemap.xml');
+        expect(feedData.metadata).toMatchObject({ title: 'The Daily', link: 'https://www.daily.example.com', language: 'de', sourceType: 'sitemap' });
+        expect(feedData.items[0]).toMatchObject({
+            title: 'Summit ends without agreement',
+            link: 'https://www.daily.example.com/world/2025/04/02/summit-ends',
+            categories: ['Politics', 'Summit'],
+            image: 'https://www.daily.example.com/img/summit.jpg'
+        });
+        expect(feedData.items[0].dateObject.toISOString()).toBe('2025-04-02T18:00:00.000Z');
+        expect(feedData.items[1].title).toBe('City council approves budget');
+        expect(feedData.items[1].dateObject.toISOString()).toBe('2025-04-01T00:00:00.000Z');
+    });
+
+    it('should be filtered like feed items and emitted in the regular output formats', () => {
+        const feedData = normalizeFeedContent(newsSitemap, 'https://www.daily.example.com/news-sitemap.xml', 10, 500, (item) => item.dateObject > new Date('2025-04-02T00:00:00Z'));
+        expect(feedData.items).toHaveLength(1);
+        expect(generateRssFeed(feedData)).toContain('<title>Summit ends without agreement</title>');
+        expect(generateMarkdown(feedData, false, false, true)).toContain('# Summit ends without agreement Link: https://www.daily.example.com/world/2025/04/02/summit-ends');
+    });
+
+    describe('sitemap indexes', () => {
+        let originalFetch;
+        beforeEach(() => {
+            originalFetch = global.fetch;
+            global.fetch = jest.fn((url) => {
+                const bodies = {
+                    'https://shop.example.com/sitemap.xml': sitemapIndex,
+                    'https://shop.example.com/sitemap-new.xml': plainSitemap('new', '2025-04-02'),
+                    'https://shop.example.com/sitemap-old.xml': plainSitemap('old', '2024-01-01'),
+                    'https://shop.example.com/sitemap-oldest.xml': plainSitemap('oldest', '2023-01-01')
+                };
+                return Promise.resolve(bodies[url] ? { ok: true, status: 200, text: async () => bodies[url] } : { ok: false, status: 404 });
+            });
+        });
+        afterEach(() => { global.fetch = originalFetch; });
+
+        it('should follow the most recently modified child sitemaps', async () => {
+            const feedData = await processMultipleUrls(['https://shop.example.com/sitemap.xml'], mockRequestUrl, 10, 500);
+            expect(feedData.items.map(item => item.link)).toEqual(['https://shop.example.com/new/spring-sale', 'https://shop.example.com/old/spring-sale']);
+            expect(feedData.items[0].sourceInfo).toMatchObject({ title: 'shop.example.com sitemap', url: 'https://shop.example.com/sitemap.xml', type: 'sitemap' });
+            expect(global.fetch).not.toHaveBeenCalledWith('https://shop.example.com/sitemap-oldest.xml', expect.anything());
+        });
+    });
+});
+
+describe('HTML page feeds', () => {
+    const pageUrl = 'https://news.example.com/latest/';
+    const mockListingPage = `<!DOCTYPE html>
+<html lang="en-GB"><head><title>Example News | Latest</title></head><body>
+    <article class="teaser">
+        <h2><a href="/2025/04/02/markets-rally">Markets rally</a></h2>
+        <time datetime="2025-04-02T09:00:00Z">2 April</time>
+        <p class="summary">Stocks rose <a href="../topics/markets">across the board</a>.</p>
+    </article>
+    <article class="teaser">
+        <h2><a href="https://other.example.com/story">Elsewhere</a></h2>
+        <span class="date">April 3, 2025 08:00 UTC</span>
+    </article>
+    <article class="teaser"></article>
+</body></html>`;
+
+    it('should read fields with the default selectors and resolve relative links against the page URL', () => {
+        const { info, items } = extractPageFeed(mockListingPage, pageUrl, parsePageSelectors({ item: 'article.teaser', description: 'p.summary' }));
+        expect(info).toMatchObject({ title: 'Example News | Latest', link: pageUrl, language: 'en-GB', sourceType: 'page' });
+        expect(items).toHaveLength(2);
+        expect(items[0]).toMatchObject({ title: 'Markets rally', link: 'https://news.example.com/2025/04/02/markets-rally' });
+        expect(items[0].dateObject.toISOString()).toBe('2025-04-02T09:00:00.000Z');
+        expect(items[0].descriptionContent).toBe('Stocks rose <a href="https://news.example.com/topics/markets">across the board</a>.');
+        expect(items[1].dateObject).toBeNull();
+    });
+
+    it('should support custom field selectors and attribute reads from the item itself', () => {
+        const selectors = parsePageSelectors({ item: 'article.teaser h2 a', title: '', link: '@href', date: '' });
+        expect(extractPageFeed(mockListingPage, pageUrl, selectors).items.map(item => item.title)).toEqual(['Markets rally', 'Elsewhere']);
+
+        const dated = extractPageFeed(mockListingPage, pageUrl, parsePageSelectors({ item: 'article.teaser', date: 'span.date' }));
+        expect(dated.items[1].dateObject.toISOString()).toBe('2025-04-03T08:00:00.000Z');
+    });
+
+    it('should reject a missing or invalid selector with a 400 error', () => {
+        expect(() => parsePageSelectors({})).toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('Item selector not provided') }));
+        expect(() => parsePageSelectors({ item: 'article[' })).toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('"item"') }));
+        expect(() => parsePageSelectors({ item: 'article', title: 'h2:has(' })).toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('"title"') }));
+    });
+
+    it('should fetch the page and run the items through the regular limits and generators', async () => {
+        const originalFetch = global.fetch;
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, text: async () => mockListingPage }));
+        try {
+            const requestUrl = 'https://crssnt.com/v1/page/rss/?url=https://news.example.com/latest/&item=article.teaser';
+            const feedData = await loadPageFeed(pageUrl, parsePageSelectors({ item: 'article.teaser' }), requestUrl, 1, 500);
+            expect(feedData.metadata).toMatchObject({ feedUrl: requestUrl, link: pageUrl, itemCountLimited: true });
+            expect(feedData.items.map(item => item.title)).toEqual(['Markets rally']);
+            expect(generateRssFeed(feedData)).toContain('<link>https://news.example.com/2025/04/02/markets-rally</link>');
+            expect(generateRssFeed(feedData)).not.toContain('<source');
+            expect(generateJsonFeedObject(feedData).items[0].url).toBe('https://news.example.com/2025/04/02/markets-rally');
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+});
+
+describe('Output format registry', () => {
+    const sheetFeedData = () => buildFeedData(mockSingleSheetAutoData, 'auto', mockSheetTitle, mockSheetID, mockRequestUrl, 2, 500);
+
+    it('should prefer the format parameter and accept aliases', () => {
+        expect(negotiateOutputFormat('md', 'application/atom+xml', 'json')).toBe('markdown');
+        expect(negotiateOutputFormat('RSS', undefined, 'json')).toBe('rss');
+        expect(() => negotiateOutputFormat('yaml', undefined, 'json')).toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('rss, atom, json, markdown') }));
+        expect(() => negotiateOutputFormat('opml', undefined, 'rss', listOutputFormats(false))).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should pick the best Accept match by quality and fall back to the default', () => {
+        expect(negotiateOutputFormat(undefined, 'application/atom+xml;q=0.5, application/feed+json', 'rss')).toBe('json');
+        expect(negotiateOutputFormat(undefined, 'text/*', 'rss')).toBe('markdown');
+        expect(negotiateOutputFormat(undefined, 'text/html,application/xhtml+xml,*/*;q=0.8', 'rss')).toBe('rss');
+        expect(negotiateOutputFormat(undefined, 'image/png', 'json')).toBe('json');
+        expect(negotiateOutputFormat(undefined, 'application/rss+xml;q=0', 'json')).toBe('json');
+    });
+
+    it('should serialize through the registered generator with only its supported options', () => {
+        const compactMarkdown = serializeOutput(sheetFeedData(), 'markdown', { llmCompact: true });
+        expect(compactMarkdown.contentType).toBe('text/plain; charset=utf8');
+        expect(compactMarkdown.body).toBe(generateMarkdown(sheetFeedData(), false, false, true));
+
+        const atom = serializeOutput(sheetFeedData(), 'atom', { llmCompact: true });
+        expect(atom.contentType).toBe('application/atom+xml; charset=utf8');
+        expect(atom.body).toBe(generateAtomFeed(sheetFeedData()));
+
+        expect(JSON.parse(serializeOutput(sheetFeedData(), 'json').body).items).toHaveLength(2);
+    });
+});
+
+describe('Token budget (max_tokens)', () => {
+    const makeItem = (source, index, words) => ({
+        title: `${source} story ${index}`,
+        link: `https://${source}.example.com/${index}`,
+        descriptionContent: `<p>${'lorem '.repeat(words).trim()}</p>`,
+        dateObject: new Date(Date.UTC(2025, 3, 2, index)),
+        sourceInfo: { title: source, url: `https://${source}.example.com/feed.xml` }
+    });
+    const makeFeedData = () => ({
+        metadata: { title: 'Combined', feedUrl: 'https://crssnt.com/v1/feed/json/?url=a&url=b' },
+        items: [1, 2, 3, 4, 5, 6].map(i => makeItem('busy', i, 150)).concat([makeItem('quiet', 1, 150)])
+    });
+
+    it('should validate max_tokens', () => {
+        expect(parseMaxTokens(undefined)).toBeNull();
+        expect(parseMaxTokens('2000')).toBe(2000);
+        expect(() => parseMaxTokens('lots')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => parseMaxTokens('10')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should leave feeds that fit untouched and report the estimate', () => {
+        const feedData = makeFeedData();
+        const budgeted = applyTokenBudget(feedData, 100000, true);
+        expect(budgeted.items).toEqual(feedData.items);
+        expect(budgeted.metadata.tokenBudget).toMatchObject({ maxTokens: 100000, tokensCut: 0, descriptionsShortened: 0, itemsDropped: 0 });
+    });
+
+    it('should shorten descriptions evenly across sources before dropping items', () => {
+        const budgeted = applyTokenBudget(makeFeedData(), 1200, true);
+        expect(budgeted.items).toHaveLength(7);
+        expect(budgeted.metadata.tokenBudget.descriptionsShortened).toBe(6);
+        expect(budgeted.metadata.tokenBudget.estimatedTokens).toBeLessThanOrEqual(1200);
+        // Both sources get the same share, so the single quiet item fits while the six busy items are cut
+        const quietItem = budgeted.items.find(item => item.sourceInfo.title === 'quiet');
+        const busyItem = budgeted.items.find(item => item.sourceInfo.title === 'busy');
+        expect(quietItem.descriptionContent).toBe(makeItem('quiet', 1, 150).descriptionContent);
+        expect(busyItem.descriptionContent).toMatch(/^lorem( lorem)*…$/);
+    });
+
+    it('should drop items from the source with the most items when descriptions cannot shrink further', () => {
+        const budgeted = applyTokenBudget(makeFeedData(), 300, true);
+        expect(budgeted.metadata.tokenBudget.itemsDropped).toBeGreaterThan(0);
+        expect(budgeted.items.map(item => item.title)).toContain('quiet story 1');
+        expect(budgeted.items[0].title).toBe('busy story 1');
+        expect(generateJsonFeedObject(budgeted, false, true, true)._crssnt_token_budget).toMatchObject({ max_tokens: 300, items_dropped: budgeted.metadata.tokenBudget.itemsDropped });
+        expect(generateMarkdown(budgeted, false, true, true)).toMatch(/Trimmed to about \d+ tokens \(max_tokens=300\): \d+ descriptions shortened, \d+ items dropped/);
+    });
+
+    it('should drop from the end of a page and point the next link at the first dropped item', () => {
+        const allItems = makeFeedData();
+        const page = paginateFeedData(allItems, 5);
+        const budgeted = applyTokenBudget(page, 250, true);
+        const keptCount = budgeted.items.length;
+        expect(keptCount).toBeLessThan(5);
+        const nextCursor = new URL(budgeted.metadata.pagination.nextUrl).searchParams.get('cursor');
+        const nextPage = paginateFeedData(allItems, 5, parsePaginationParams('5', nextCursor).cursor);
+        expect(nextPage.items[0].title).toBe(allItems.items[keptCount].title);
+    });
+
+    it('should keep serialized JSON within the budget, counting ids, urls, dates and field names', () => {
+        const manyItems = { ...makeFeedData(), items: Array.from({ length: 30 }, (_, i) => makeItem(i % 2 ? 'busy' : 'quiet', i, 40)) };
+        [500, 2000].forEach(maxTokens => {
+            const { body } = serializeOutput(manyItems, 'json', { maxTokens, multipleSources: true });
+            expect(body.length / 4).toBeLessThanOrEqual(maxTokens);
+            expect(JSON.parse(body)._crssnt_token_budget.max_tokens).toBe(maxTokens);
+        });
+        const compact = serializeOutput(manyItems, 'markdown', { maxTokens: 500, llmCompact: true });
+        expect(compact.body.length / 4).toBeLessThanOrEqual(500);
+    });
+});
+
+describe('HTML to Markdown conversion', () => {
+    const articleHtml = `<h2>Results</h2>
+        <p>Read the <a href="https://example.com/report">full <em>report</em></a> or <strong>skip</strong> it.</p>
+        <ul><li>First</li><li>Second<ol><li>Nested</li></ol></li></ul>
+        <blockquote><p>Quoted text</p></blockquote>
+        <figure><img src="https://example.com/chart.png" alt="Chart"><figcaption>Figure 1</figcaption></figure>
+        <pre><code class="language-python">print("hi")</code></pre>
+        <table><tr><th>Team</th><th>Score</th></tr><tr><td>A</td><td>3</td></tr></table>
+        <script>track()</script>`;
+
+    it('should convert block and inline elements', () => {
+        expect(htmlToMarkdown(articleHtml, { headingOffset: 3 })).toBe([
+            '##### Results',
+            'Read the [full *report*](https://example.com/report) or **skip** it.',
+            '- First\n- Second\n  1. Nested',
+            '> Quoted text',
+            '![Chart](https://example.com/chart.png)',
+            '*Figure 1*',
+            '```python\nprint("hi")\n```',
+            '| Team | Score |\n| --- | --- |\n| A | 3 |'
+        ].join('\n\n'));
+    });
+
+    it('should keep links and list markers on a single line in compact mode', () => {
+        expect(htmlToMarkdown(articleHtml, { compact: true })).toBe(
+            'Results Read the [full report](https://example.com/report) or skip it. - First - Second 1. Nested Quoted text Figure 1 print("hi") Team | Score; A | 3'
+        );
+    });
+
+    it('should escape Markdown syntax in text and drop unsafe links', () => {
+        expect(htmlToMarkdown('Use *args and [brackets] &lt;here&gt;')).toBe('Use \\*args and \\[brackets\\] \\<here\\>');
+        expect(htmlToMarkdown('<a href="javascript:alert(1)">click</a> <a href="https://example.com">https://example.com</a>')).toBe('click <https://example.com>');
+    });
+
+    it('should escape block markers at the start of a line', () => {
+        expect(htmlToMarkdown('<p># not a heading</p><p>- not a list<br>2. or this<br>> nor a quote</p>')).toBe(
+            '\\# not a heading\n\n\\- not a list  \n2\\. or this  \n\\> nor a quote'
+        );
+        expect(htmlToMarkdown('<p>Item - 1. fine mid-line</p>')).toBe('Item - 1. fine mid-line');
+    });
+
+    it('should keep line and paragraph breaks in plain text', () => {
+        expect(htmlToMarkdown('First line\nsecond line\n\n\n# Notes\n===\n1. one &amp; two')).toBe(
+            'First line\nsecond line\n\n\\# Notes\n\\===\n1\\. one & two'
+        );
+        expect(htmlToMarkdown('First line\n\nSecond', { compact: true })).toBe('First line Second');
+    });
+});
+
+describe('HTML sanitization', () => {
+    const unsafeHtml = '<p style="color:red" onclick="steal()">Hi <a href=" java\tscript:alert(1)">bad</a> <a href="https://ok.example.com" target="_blank">ok</a></p>' +
+        '<script>evil()</script><iframe src="https://ads.example.com"></iframe><!-- note -->' +
+        '<img src="https://feeds.feedburner.com/~r/demo/~4/abc"><img src="https://example.com/p.gif" width="1" height="1">' +
+        '<img src="https://example.com/photo.jpg" alt="Photo" onerror="steal()"><font color="red">Styled</font><h2>Heading</h2>';
+
+    it('should remove scripts, frames, event handlers, styles, unsafe URLs and tracking pixels at the standard level', () => {
+        expect(sanitizeHtml(unsafeHtml, 'standard')).toBe(
+            '<p>Hi <a>bad</a> <a href="https://ok.example.com">ok</a></p><img src="https://example.com/photo.jpg" alt="Photo">Styled<h2>Heading</h2>'
+        );
+    });
+
+    it('should keep only basic text formatting at the strict level and leave plain text or level off untouched', () => {
+        expect(sanitizeHtml(unsafeHtml, 'strict')).toBe('<p>Hi <a>bad</a> <a href="https://ok.example.com">ok</a></p>StyledHeading');
+        expect(sanitizeHtml('Plain &amp; text', 'strict')).toBe('Plain &amp; text');
+        expect(sanitizeHtml(unsafeHtml, 'off')).toBe(unsafeHtml);
+    });
+
+    it('should validate the sanitize parameter', () => {
+        expect(parseSanitizeLevel(undefined)).toBe('standard');
+        expect(parseSanitizeLevel('STRICT')).toBe('strict');
+        expect(() => parseSanitizeLevel('paranoid')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should sanitize item output in every format and use content_html for HTML in JSON', () => {
+        const feedData = {
+            metadata: { title: 'Feed', sourceUrl: 'https://example.com/feed' },
+            items: [
+                { title: 'HTML', link: 'https://example.com/1', dateObject: new Date('2025-04-01T00:00:00Z'), descriptionContent: '<p onclick="x()">Hi</p><script>x()</script>' },
+                { title: 'Text', link: 'https://example.com/2', dateObject: new Date('2025-04-02T00:00:00Z'), descriptionContent: 'Just text' }
+            ]
+        };
+        const rss = serializeOutput(feedData, 'rss', {}).body;
+        expect(rss).toContain('<![CDATA[<p>Hi</p>]]>');
+        expect(rss).not.toContain('<script>');
+        const json = JSON.parse(serializeOutput(feedData, 'json', { sanitize: 'strict' }).body);
+        expect(json.items.find(item => item.title === 'HTML')).toMatchObject({ content_html: '<p>Hi</p>' });
+        expect(json.items.find(item => item.title === 'Text')).toMatchObject({ content_text: 'Just text' });
+        expect(serializeOutput(feedData, 'rss', { sanitize: 'off' }).body).toContain('<script>x()</script>');
+    });
+
+    it('should emit Atom entry titles as escaped text', () => {
+        const feedData = {
+            metadata: { title: 'Feed', sourceUrl: 'https://example.com/feed' },
+            items: [{ title: '<img src=x onerror=alert(1)> & more', link: 'https://example.com/1', dateObject: new Date('2025-04-01T00:00:00Z'), descriptionContent: 'Text' }]
+        };
+        const atom = serializeOutput(feedData, 'atom', {}).body;
+        expect(atom).toContain('<title type="text">&lt;img src=x onerror=alert(1)&gt; &amp; more</title>');
+        expect(atom).not.toContain('<img');
+    });
+
+    it('should escape RSS item titles and keep ]]> from closing the description section', () => {
+        const feedData = {
+            metadata: { title: 'Feed', sourceUrl: 'https://example.com/feed' },
+            items: [{ title: 'Ends with ]]> <b>& more</b>', link: 'https://example.com/1', dateObject: new Date('2025-04-01T00:00:00Z'), descriptionContent: '<p>a ]]> b</p>' }]
+        };
+        // Sanitizing would re-encode the > in the description, so it is switched off to keep the raw ]]>
+        const rss = serializeOutput(feedData, 'rss', { sanitize: 'off' }).body;
+        expect(rss).toContain('<title>Ends with ]]&gt; &lt;b&gt;&amp; more&lt;/b&gt;</title>');
+        const $ = parseXmlFeedWithCheerio(rss);
+        expect($('item > title').text()).toBe('Ends with ]]> <b>& more</b>');
+        expect($('item > description').text()).toBe('<p>a ]]> b</p>');
+    });
+
+    it('should decode entity-encoded HTML descriptions before sanitizing them', () => {
+        const feedData = {
+            metadata: { title: 'Feed', sourceUrl: 'https://example.com/feed' },
+            items: [
+                { title: 'Encoded', link: 'https://example.com/1', dateObject: new Date('2025-04-01T00:00:00Z'), descriptionContent: '&lt;p onclick=&quot;x()&quot;&gt;Hi&lt;/p&gt;&lt;script&gt;x()&lt;/script&gt;' },
+                { title: 'Text', link: 'https://example.com/2', dateObject: new Date('2025-04-02T00:00:00Z'), descriptionContent: 'Fish &amp; chips' }
+            ]
+        };
+        const json = JSON.parse(serializeOutput(feedData, 'json', {}).body);
+        expect(json.items[0]).toMatchObject({ content_html: '<p>Hi</p>' });
+        expect(json.items[0].content_text).toBeUndefined();
+        expect(json.items[1]).toMatchObject({ content_text: 'Fish &amp; chips' });
+        expect(serializeOutput(feedData, 'markdown', {}).body).not.toMatch(/onclick|script/);
+    });
+});
+
 describe('processMultipleUrls (Helper Function - URL Aggregation & itemLimit per source)', () => {
     const mockRequestUrl = 'https://crssnt.com/feedToJson?url=...';
     let originalFetch;
@@ -387,6 +1577,20 @@ describe('processMultipleUrls (Helper Function - URL Aggregation & itemLimit per
         expect(feedData.metadata.lastBuildDate.toISOString()).toBe(parseISO('2025-04-07T12:00:00Z').toISOString());
         expect(feedData.metadata.groupByFeed).toBe(false); 
     });
+
+    it('should name the source feed of every item in RSS output', async () => {
+        global.fetch = jest.fn((url) => {
+            if (url === 'https://alpha.example.com/rss.xml') return Promise.resolve({ ok: true, text: async () => mockRssXmlFeed1 });
+            if (url === 'https://beta.example.com/atom.xml') return Promise.resolve({ ok: true, text: async () => mockAtomXmlFeed2 });
+            return Promise.resolve({ ok: false, status: 404 });
+        });
+        const feedData = await processMultipleUrls(['https://alpha.example.com/rss.xml', 'https://beta.example.com/atom.xml'], mockRequestUrl, 1, 500, false);
+        const rssOutput = generateRssFeed(feedData);
+
+        expect(rssOutput).toContain('<source url="https://beta.example.com/atom.xml">Atom Feed Beta</source>');
+        expect(rssOutput).toContain('<source url="https://alpha.example.com/rss.xml">RSS Feed Alpha</source>');
+        expect(parseXmlFeedWithCheerio(rssOutput)('item > source')).toHaveLength(2);
+    });
     
     it('should apply itemLimit per source and concatenate if grouping', async () => {
         global.fetch = jest.fn((url) => {
@@ -411,6 +1615,51 @@ describe('processMultipleUrls (Helper Function - URL Aggregation & itemLimit per
         expect(feedData.metadata.lastBuildDate.getTime()).toBe(expectedLastBuildDate.getTime());
     });
 
+    it('should combine JSON Feed sources with XML sources', async () => {
+        global.fetch = jest.fn((url) => {
+            if (url === 'https://alpha.example.com/rss.xml') return Promise.resolve({ ok: true, text: async () => mockRssXmlFeed1 });
+            if (url === 'https://delta.example.com/feed.json') return Promise.resolve({ ok: true, text: async () => mockJsonFeed });
+            return Promise.resolve({ ok: false, status: 404 });
+        });
+        const sourceUrls = ['https://alpha.example.com/rss.xml', 'https://delta.example.com/feed.json'];
+        const feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 1, 500, false);
+
+        expect(feedData.items).toHaveLength(2);
+        expect(feedData.items[0].title).toBe('Delta Item 2 (Newest)');
+        expect(feedData.items[1].title).toBe('Alpha Item 3 (Newest)');
+    });
+
+    it('should skip a source that exceeds the per-source timeout and keep the others', async () => {
+        global.fetch = jest.fn((url, init) => {
+            if (url === 'https://alpha.example.com/rss.xml') return Promise.resolve({ ok: true, text: async () => mockRssXmlFeed1 });
+            return new Promise(() => {}); // Never settles, like a hanging host
+        });
+        const sourceUrls = ['https://slow.example.com/rss.xml', 'https://alpha.example.com/rss.xml'];
+        const feedPromise = processMultipleUrls(sourceUrls, mockRequestUrl, 50, 500, false, null, { sourceTimeoutMs: 1000 });
+        await jest.advanceTimersByTimeAsync(1000);
+        const feedData = await feedPromise;
+
+        expect(feedData.items).toHaveLength(3);
+        expect(feedData.items.every(item => item.sourceInfo.url === 'https://alpha.example.com/rss.xml')).toBe(true);
+    });
+
+    it('should fetch sources concurrently up to the concurrency limit', async () => {
+        let inFlight = 0, maxInFlight = 0;
+        global.fetch = jest.fn(async (url) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await Promise.resolve();
+            inFlight--;
+            return { ok: true, text: async () => mockRssXmlFeed1 };
+        });
+        const sourceUrls = ['https://a.example.com/1', 'https://a.example.com/2', 'https://a.example.com/3', 'https://a.example.com/4'];
+        const feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 1, 500, true, null, { concurrency: 2 });
+
+        expect(maxInFlight).toBe(2);
+        // Source order is preserved regardless of completion order
+        expect(feedData.items.map(item => item.sourceInfo.url)).toEqual(sourceUrls);
+    });
+
     it('should filter items globally based on sinceTimestamp', async () => {
         global.fetch = jest.fn((url) => {
             if (url === 'https://alpha.example.com/rss.xml') return Promise.resolve({ ok: true, text: async () => mockRssXmlFeed1 }); // Apr 6, Apr 5, Apr 3
@@ -433,6 +1682,289 @@ describe('processMultipleUrls (Helper Function - URL Aggregation & itemLimit per
     });
 });
 
+describe('Per-source status reporting', () => {
+    const mockRequestUrl = 'https://crssnt.com/feedToJson?url=...';
+    const sourceUrls = ['https://alpha.example.com/rss.xml', 'https://missing.example.com/rss.xml', 'https://html.example.com/page'];
+    let feedData;
+    let originalFetch;
+
+    beforeAll(async () => {
+        originalFetch = global.fetch;
+        global.fetch = jest.fn((url) => {
+            if (url === sourceUrls[0]) return Promise.resolve({ ok: true, status: 200, text: async () => mockRssXmlFeed1 });
+            if (url === sourceUrls[2]) return Promise.resolve({ ok: true, status: 200, text: async () => '<html><body>Not a feed</body></html>' });
+            return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' });
+        });
+        feedData = await processMultipleUrls(sourceUrls, mockRequestUrl, 2, 500, false);
+    });
+    afterAll(() => {
+        global.fetch = originalFetch;
+        jest.restoreAllMocks();
+    });
+
+    it('should record a status entry for every source in request order', () => {
+        expect(feedData.metadata.sources).toEqual([
+            { url: sourceUrls[0], status: 'ok', httpStatus: 200, itemCount: 2, itemCountLimited: true },
+            expect.objectContaining({ url: sourceUrls[1], status: 'error', httpStatus: 404, errorCategory: 'http_error' }),
+            expect.objectContaining({ url: sourceUrls[2], status: 'error', httpStatus: 200, errorCategory: 'unknown_feed_type' })
+        ]);
+    });
+
+    it('should expose the statuses as _crssnt_sources in JSON output', () => {
+        const jsonResult = generateJsonFeedObject(feedData, false, true, false);
+        expect(jsonResult._crssnt_sources[0]).toEqual({ url: sourceUrls[0], status: 'ok', http_status: 200, item_count: 2, item_count_limited: true });
+        expect(jsonResult._crssnt_sources[1].error_category).toBe('http_error');
+        expect(generateJsonFeedObject(feedData, false, true, true)._crssnt_sources).toBeUndefined();
+    });
+
+    it('should list failed sources in a Markdown notice', () => {
+        const mdResult = generateMarkdown(feedData, false, true, false);
+        expect(mdResult).toContain('**Note: 2 of 3 sources could not be loaded:**');
+        expect(mdResult).toContain('(http\\_error, HTTP 404)');
+    });
+
+    it('should summarize statuses as response headers', () => {
+        const headers = buildSourceStatusHeaders(feedData.metadata.sources);
+        expect(headers['X-Crssnt-Sources-Total']).toBe('3');
+        expect(headers['X-Crssnt-Sources-Failed']).toBe('2');
+        expect(headers['X-Crssnt-Source-Status']).toBe(
+            'https%3A%2F%2Falpha.example.com%2Frss.xml;status=ok;items=2;limited=1;http=200, ' +
+            'https%3A%2F%2Fmissing.example.com%2Frss.xml;status=error;category=http_error;http=404, ' +
+            'https%3A%2F%2Fhtml.example.com%2Fpage;status=error;category=unknown_feed_type;http=200'
+        );
+    });
+
+    it('should attach the statuses to the error when every source fails', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 500, statusText: 'Server Error' }));
+        await expect(processMultipleUrls(['https://down.example.com/rss.xml'], mockRequestUrl)).rejects.toMatchObject({
+            sources: [expect.objectContaining({ url: 'https://down.example.com/rss.xml', errorCategory: 'http_error', httpStatus: 500 })]
+        });
+    });
+});
+
+describe('Upstream response caching in fetchUrlContent', () => {
+    const feedUrl = 'https://cached.example.com/rss.xml';
+    const mockHeaders = (headers) => ({ get: (name) => headers[name.toLowerCase()] || null });
+
+    beforeEach(() => { setFetchCacheStore(createMemoryCacheStore()); });
+    afterEach(() => { jest.restoreAllMocks(); });
+
+    it('should serve fresh entries from cache without refetching', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, headers: mockHeaders({ 'cache-control': 'max-age=60' }), text: async () => 'first' }));
+        expect(await fetchUrlContent(feedUrl)).toBe('first');
+        expect(await fetchUrlContent(feedUrl)).toBe('first');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should revalidate stale entries with If-None-Match/If-Modified-Since and reuse the body on 304', async () => {
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce({ ok: true, status: 200, headers: mockHeaders({ 'cache-control': 'max-age=60', etag: '"v1"', 'last-modified': 'Wed, 02 Apr 2025 10:00:00 GMT' }), text: async () => 'cached body' })
+            .mockResolvedValueOnce({ ok: false, status: 304, headers: mockHeaders({ 'cache-control': 'max-age=60' }), text: async () => '' });
+        await fetchUrlContent(feedUrl);
+        jest.advanceTimersByTime(61 * 1000);
+        expect(await fetchUrlContent(feedUrl)).toBe('cached body');
+
+        const revalidationHeaders = global.fetch.mock.calls[1][1].headers;
+        expect(revalidationHeaders['If-None-Match']).toBe('"v1"');
+        expect(revalidationHeaders['If-Modified-Since']).toBe('Wed, 02 Apr 2025 10:00:00 GMT');
+    });
+
+    it('should not store responses marked no-store or private', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, headers: mockHeaders({ 'cache-control': 'private, max-age=600' }), text: async () => 'private body' }));
+        await fetchUrlContent(feedUrl);
+        await fetchUrlContent(feedUrl);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should use a pluggable cache store and evict least recently used entries in memory', async () => {
+        const store = createMemoryCacheStore(1);
+        setFetchCacheStore(store);
+        global.fetch = jest.fn((url) => Promise.resolve({ ok: true, status: 200, text: async () => `body of ${url}` }));
+        await fetchUrlContent('https://one.example.com/feed');
+        await fetchUrlContent('https://two.example.com/feed');
+        expect(await store.get('https://one.example.com/feed')).toBeUndefined();
+        expect((await store.get('https://two.example.com/feed')).body).toBe('body of https://two.example.com/feed');
+    });
+
+    it('should evict by total body size and skip bodies larger than the cap', async () => {
+        const store = createMemoryCacheStore(10, 100);
+        await store.set('a', { body: 'a'.repeat(60) });
+        await store.set('b', { body: 'b'.repeat(30) });
+        await store.get('a');
+        await store.set('c', { body: 'c'.repeat(30) });
+        expect(await store.get('b')).toBeUndefined();
+        expect(await store.get('a')).toBeDefined();
+        await store.set('huge', { body: 'x'.repeat(101) });
+        expect(await store.get('huge')).toBeUndefined();
+        expect(await store.get('c')).toBeDefined();
+    });
+
+    it('should bypass the cache when asked to', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, headers: mockHeaders({ 'cache-control': 'max-age=600' }), text: async () => 'article' }));
+        await fetchUrlContent('https://article.example.com/story', { cache: false });
+        await fetchUrlContent('https://article.example.com/story', { cache: false });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('Feed autodiscovery for HTML pages', () => {
+    const pageUrl = 'https://blog.example.com/';
+    const mockHtmlPage = `<!DOCTYPE html>
+<html><head>
+    <title>Example Blog</title>
+    <link rel="alternate" type="application/rss+xml" title="Comments Feed" href="/comments/feed/">
+    <link rel="alternate" type="application/rss+xml" title="Example Blog Feed" href="/feed/">
+    <link rel="stylesheet" href="/style.css">
+</head><body><h1>Example Blog</h1></body></html>`;
+
+    afterEach(() => { jest.restoreAllMocks(); });
+
+    it('should list alternate feed links before common fallback paths, demoting comment feeds', () => {
+        const candidates = discoverFeedUrls(mockHtmlPage, pageUrl);
+        expect(candidates.slice(0, 3)).toEqual([
+            'https://blog.example.com/feed/',
+            'https://blog.example.com/comments/feed/',
+            'https://blog.example.com/feed'
+        ]);
+        expect(candidates).toContain('https://blog.example.com/feed.json');
+    });
+
+    it('should follow the best candidate and report the feed URL that was used', async () => {
+        global.fetch = jest.fn((url) => {
+            if (url === pageUrl) return Promise.resolve({ ok: true, status: 200, text: async () => mockHtmlPage });
+            if (url === 'https://blog.example.com/feed/') return Promise.resolve({ ok: true, status: 200, text: async () => mockRssXmlFeed1 });
+            return Promise.resolve({ ok: false, status: 404 });
+        });
+        const feedData = await processMultipleUrls([pageUrl], 'https://crssnt.com/feedToJson?url=...', 50, 500, false);
+
+        expect(feedData.items).toHaveLength(3);
+        expect(feedData.items[0].sourceInfo.url).toBe(pageUrl);
+        expect(feedData.metadata.sources[0]).toMatchObject({ url: pageUrl, status: 'ok', feedUrl: 'https://blog.example.com/feed/' });
+        expect(generateJsonFeedObject(feedData)._crssnt_sources[0].feed_url).toBe('https://blog.example.com/feed/');
+        expect(generateMarkdown(feedData)).toContain('**Discovered feeds:**');
+        expect(generateRssFeed(feedData)).toContain('<source url="https://blog.example.com/feed/">');
+    });
+});
+
+describe('Character encoding detection', () => {
+    afterEach(() => { jest.restoreAllMocks(); });
+
+    it('should decode using the encoding declared in the XML prolog', () => {
+        const bytes = Buffer.concat([
+            Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><rss><channel><title>Caf', 'latin1'),
+            Buffer.from([0xE9]),
+            Buffer.from('</title></channel></rss>', 'latin1')
+        ]);
+        expect(decodeResponseBody(bytes, 'application/rss+xml')).toContain('<title>Café</title>');
+    });
+
+    it('should prefer the Content-Type charset over the XML prolog', () => {
+        const bytes = Buffer.concat([Buffer.from('<?xml version="1.0" encoding="UTF-8"?><title>'), Buffer.from([0x93, 0xFA, 0x96, 0x7B]), Buffer.from('</title>')]);
+        expect(decodeResponseBody(bytes, 'text/xml; charset=Shift_JIS')).toContain('<title>日本</title>');
+    });
+
+    it('should honor a byte order mark and strip it', () => {
+        const bytes = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('<rss>Ü</rss>', 'utf16le')]);
+        expect(decodeResponseBody(bytes, 'application/xml; charset=iso-8859-1')).toBe('<rss>Ü</rss>');
+    });
+
+    it('should decode fetched feeds before parsing them', async () => {
+        const windows1252Feed = Buffer.concat([
+            Buffer.from('<?xml version="1.0" encoding="windows-1252"?><rss version="2.0"><channel><title>Encoded</title><item><title>', 'latin1'),
+            Buffer.from([0x93, 0x51, 0x75, 0x6F, 0x74, 0x65, 0x64, 0x94, 0x20, 0x80]),
+            Buffer.from('</title><link>https://enc.example.com/1</link></item></channel></rss>', 'latin1')
+        ]);
+        global.fetch = jest.fn(() => Promise.resolve({
+            ok: true, status: 200,
+            headers: { get: (name) => name.toLowerCase() === 'content-type' ? 'application/rss+xml' : null },
+            arrayBuffer: async () => windows1252Feed.buffer.slice(windows1252Feed.byteOffset, windows1252Feed.byteOffset + windows1252Feed.length)
+        }));
+        const feedData = await processMultipleUrls(['https://enc.example.com/rss'], 'https://crssnt.com/enc', 50, 500, false);
+        expect(feedData.items[0].title).toBe('\u201cQuoted\u201d \u20ac');
+    });
+});
+
+describe('Outbound request safety in fetchUrlContent', () => {
+    const mockHeaders = (headers) => ({ get: (name) => headers[name.toLowerCase()] || null });
+    afterEach(() => { jest.restoreAllMocks(); });
+
+    it('should classify private, loopback, link-local and mapped addresses as blocked', () => {
+        ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::127.0.0.1', '::a9fe:a9fe', '[::1]']
+            .forEach(address => expect(isBlockedAddress(address)).toBe(true));
+        ['93.184.216.34', '8.8.8.8', '2606:4700::1111'].forEach(address => expect(isBlockedAddress(address)).toBe(false));
+    });
+
+    it('should reject non-http schemes, local hosts and private IP literals with 4xx status codes', () => {
+        expect(() => assertFetchableUrl('file:///etc/passwd')).toThrow(expect.objectContaining({ category: 'blocked_url', statusCode: 400 }));
+        expect(() => assertFetchableUrl('http://localhost:8080/feed')).toThrow(expect.objectContaining({ category: 'blocked_address', statusCode: 403 }));
+        expect(() => assertFetchableUrl('http://169.254.169.254/latest/meta-data/')).toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(() => assertFetchableUrl('http://[::ffff:127.0.0.1]/feed')).toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(() => assertFetchableUrl('https://example.com/feed')).not.toThrow();
+    });
+
+    it('should refuse to connect to hosts whose DNS records point at private addresses', async () => {
+        const lookup = (hostname, options) => new Promise(resolve => lookupPublicAddress(hostname, options, (...args) => resolve(args)));
+        dns.promises.lookup.mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+        const [error] = await lookup('internal.example.com', { all: true });
+        expect(error).toMatchObject({ category: 'blocked_address', statusCode: 403 });
+
+        expect(await lookup('public.example.com', { all: true })).toEqual([null, [{ address: '93.184.216.34', family: 4 }]]);
+        expect(await lookup('public.example.com', {})).toEqual([null, '93.184.216.34', 4]);
+    });
+
+    it('should connect through the pinned dispatcher and surface its lookup errors', async () => {
+        const blockedError = Object.assign(new Error('blocked'), { category: 'blocked_address', statusCode: 403 });
+        global.fetch = jest.fn(() => Promise.reject(Object.assign(new TypeError('fetch failed'), { cause: blockedError })));
+        await expect(fetchUrlContent('https://rebinding.example.com/feed')).rejects.toBe(blockedError);
+        expect(global.fetch.mock.calls[0][1].dispatcher).toBeDefined();
+    });
+
+    it('should discard redirect bodies and drop cache validators when a redirect changes origin', async () => {
+        setFetchCacheStore(createMemoryCacheStore());
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce({ ok: true, status: 200, headers: mockHeaders({ 'cache-control': 'max-age=60', etag: '"v1"' }), text: async () => 'first' });
+        await fetchUrlContent('https://origin.example.com/feed');
+        jest.advanceTimersByTime(61 * 1000);
+
+        const cancel = jest.fn(() => Promise.resolve());
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce({ ok: false, status: 302, headers: mockHeaders({ location: '/moved' }), body: { cancel } })
+            .mockResolvedValueOnce({ ok: false, status: 302, headers: mockHeaders({ location: 'https://other.example.com/feed' }), body: { cancel } })
+            .mockResolvedValueOnce({ ok: true, status: 200, text: async () => 'moved' });
+        expect(await fetchUrlContent('https://origin.example.com/feed')).toBe('moved');
+        expect(cancel).toHaveBeenCalledTimes(2);
+        expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+        expect(global.fetch.mock.calls[2][1].headers['If-None-Match']).toBeUndefined();
+    });
+
+    it('should check every redirect hop against the blocklist', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 302, headers: mockHeaders({ location: 'http://127.0.0.1/admin' }) }));
+        await expect(fetchUrlContent('https://redirect.example.com/feed')).rejects.toMatchObject({ category: 'blocked_address', statusCode: 403 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch.mock.calls[0][1].redirect).toBe('manual');
+    });
+
+    it('should follow a limited number of redirects', async () => {
+        global.fetch = jest.fn((url) => {
+            if (url === 'https://final.example.com/feed') return Promise.resolve({ ok: true, status: 200, text: async () => 'final' });
+            return Promise.resolve({ ok: false, status: 301, headers: mockHeaders({ location: 'https://final.example.com/feed' }) });
+        });
+        expect(await fetchUrlContent('https://moved.example.com/feed')).toBe('final');
+
+        global.fetch = jest.fn((url) => Promise.resolve({ ok: false, status: 302, headers: mockHeaders({ location: `${url}x` }) }));
+        await expect(fetchUrlContent('https://loop.example.com/feed')).rejects.toMatchObject({ category: 'too_many_redirects', statusCode: 400 });
+        expect(global.fetch).toHaveBeenCalledTimes(6);
+    });
+
+    it('should reject oversized bodies and unexpected content types', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, headers: mockHeaders({ 'content-length': String(50 * 1024 * 1024) }), arrayBuffer: async () => new ArrayBuffer(0) }));
+        await expect(fetchUrlContent('https://huge.example.com/feed')).rejects.toMatchObject({ category: 'response_too_large', statusCode: 413 });
+
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, headers: mockHeaders({ 'content-type': 'image/png' }), arrayBuffer: async () => new ArrayBuffer(8) }));
+        await expect(fetchUrlContent('https://image.example.com/feed')).rejects.toMatchObject({ category: 'unsupported_content_type', statusCode: 415 });
+    });
+});
+
 // --- Tests for Output Generators with Grouping and LLM Compact Mode ---
 describe('generateJsonFeedObject with LLM Compact Mode', () => {
     let feedDataMultiSourceGrouped;
@@ -565,9 +2097,9 @@ describe('LLM Compact HTML Stripping', () => {
         jest.restoreAllMocks();
     });
 
-    it('generateMarkdown should strip HTML for llm_compact=true', () => {
+    it('generateMarkdown should strip presentation but keep links for llm_compact=true', () => {
         const mdResult = generateMarkdown(feedData, false, false, true);
-        const expectedText = "# HTML Item This is a bold description. It has line breaks.And an anchor. Link: https://html.example.com/item1";
+        const expectedText = "# HTML Item This is a bold description. It has line breaks. And an [anchor](http://example.com). Link: https://html.example.com/item1";
         expect(mdResult).toBe(expectedText);
     });
 
@@ -577,16 +2109,17 @@ describe('LLM Compact HTML Stripping', () => {
         expect(jsonResult.items[0].content_text).toBe(expectedDescription);
     });
 
-    it('generateMarkdown should NOT strip HTML for llm_compact=false', () => {
+    it('generateMarkdown should convert HTML to Markdown for llm_compact=false', () => {
         const mdResult = generateMarkdown(feedData, false, false, false);
-        const originalDescription = `<p>This is a <b>bold</b> description.</p> It has line breaks.<br/>And an <a href="http://example.com">anchor</a>.`;
-        expect(mdResult).toContain(originalDescription);
+        expect(mdResult).toContain('This is a **bold** description.\n\nIt has line breaks.  \nAnd an [anchor](http://example.com).');
+        expect(mdResult).not.toContain('<p>');
     });
 
     it('generateJsonFeedObject should NOT strip HTML for llm_compact=false', () => {
         const jsonResult = generateJsonFeedObject(feedData, false, false, false);
         const originalDescription = `<p>This is a <b>bold</b> description.</p> It has line breaks.<br/>And an <a href="http://example.com">anchor</a>.`;
-        expect(jsonResult.items[0].content_text).toBe(originalDescription);
+        expect(jsonResult.items[0].content_html).toBe(originalDescription);
+        expect(jsonResult.items[0].content_text).toBeUndefined();
     });
 });
 